@@ -0,0 +1,44 @@
+// ========================================
+// ACCESSIBILITY
+// Announces window changes to screen readers through a polite live region
+// Dependencies: windowManager.js
+// ========================================
+
+class Accessibility {
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.liveRegion = document.getElementById('liveRegion');
+        this.announceTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.windowManager) return;
+
+        this.windowManager.on('open', '*', ({ id }) => {
+            this.announce(`${this.windowManager.getWindowTitle(id)} window opened`);
+        });
+
+        this.windowManager.on('close', '*', ({ id }) => {
+            this.announce(`${this.windowManager.getWindowTitle(id)} window closed`);
+        });
+    }
+
+    /**
+     * Reads a message out to screen reader users without moving focus
+     */
+    announce(message) {
+        if (!this.liveRegion) return;
+
+        // Clearing first makes a repeated message get read out again
+        clearTimeout(this.announceTimer);
+        this.liveRegion.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 50);
+    }
+}
+
+// Create global instance
+window.accessibility = new Accessibility(window.windowManager);
@@ -1,13 +1,14 @@
 class DesktopApps {
     constructor() {
         this.drawings = []; // Store all submitted drawings
-        this.currentStream = null; // Store webcam stream
-        this.canvas = null;
-        this.ctx = null;
-        this.isDrawing = false;
-        this.lastX = 0;
-        this.lastY = 0;
-        this.animationFrameId = null;
+
+        // The first window of each app lives in index.html; more instances are cloned from it
+        this.appWindows = {
+            camera: 'cameraWindow',
+            notepad: 'notepadWindow',
+            gallery: 'galleryWindow'
+        };
+        this.instances = new Map(); // windowId -> { app, number, element, ...app state }
 
         this.init();
     }
@@ -19,6 +20,492 @@ class DesktopApps {
         } else {
             this.setupAppIcons();
         }
+
+        Object.keys(this.appWindows).forEach(app => {
+            const windowEl = document.getElementById(this.appWindows[app]);
+            if (windowEl) {
+                this.registerInstance(app, windowEl, 1);
+            }
+        });
+
+        this.registerMenus();
+        this.registerContextMenus();
+        this.registerTrashKinds();
+        this.registerSpotlight();
+        this.registerBrowserRoutes();
+        this.watchSettings();
+    }
+
+    /**
+     * Open cameras pick up a new resolution right away (pen defaults apply as Notepads open)
+     */
+    watchSettings() {
+        if (!window.settings) return;
+
+        window.settings.on('camera.resolution', () => {
+            this.instances.forEach(instance => {
+                if (instance.app === 'camera' && instance.stream && !instance.paused) {
+                    this.startWebcam(instance);
+                }
+            });
+        });
+    }
+
+    /**
+     * Reads a setting, or the fallback when there's no settings store
+     */
+    getSetting(key, fallback) {
+        return window.settings ? window.settings.get(key) : fallback;
+    }
+
+    // ========================================
+    // APP INSTANCES
+    // ========================================
+
+    /**
+     * Sets up the state and window hooks for one instance of an app
+     */
+    registerInstance(app, windowEl, number) {
+        const instance = { app, number, windowId: windowEl.id, element: windowEl };
+        windowEl.dataset.app = app; // Lets the menu bar find the app's menus
+
+        if (app === 'camera') {
+            Object.assign(instance, {
+                stream: null,
+                animationFrameId: null,
+                paused: false
+            });
+        } else if (app === 'notepad') {
+            Object.assign(instance, {
+                canvas: null,
+                ctx: null,
+                canvasBackup: null, // Full drawing, including parts cropped by a smaller window
+                undoStack: [],
+                zoom: 1,
+                isDrawing: false,
+                lastX: 0,
+                lastY: 0
+            });
+            this.setupNotepadControls(instance);
+        }
+
+        this.instances.set(instance.windowId, instance);
+        this.registerWindowHooks(instance);
+        return instance;
+    }
+
+    registerWindowHooks(instance) {
+        const windowManager = window.windowManager;
+        if (!windowManager) return;
+
+        const windowId = instance.windowId;
+
+        if (instance.app === 'camera') {
+            // Camera: only stream while the window is visible
+            windowManager.on('open', windowId, () => this.startWebcam(instance));
+            windowManager.on('close', windowId, () => this.stopCamera(instance));
+            windowManager.on('minimize', windowId, () => this.pauseCamera(instance));
+            windowManager.on('restore', windowId, () => this.resumeCamera(instance));
+        } else if (instance.app === 'notepad') {
+            // Notepad: fresh canvas and pen on open, re-fit the bitmap on resize
+            windowManager.on('open', windowId, () => {
+                this.applyPenDefaults(instance);
+                this.setupDrawingCanvas(instance);
+            });
+            windowManager.on('resize', windowId, () => this.resizeDrawingCanvas(instance));
+        } else if (instance.app === 'gallery') {
+            windowManager.on('open', windowId, () => this.renderGallery());
+        }
+
+        // Extra instances go away for good when closed; the first one is only hidden.
+        // Deferred so the other 'close' listeners still see the window.
+        if (instance.number > 1) {
+            windowManager.on('close', windowId, () => {
+                setTimeout(() => this.destroyInstance(instance), 0);
+            });
+        }
+    }
+
+    /**
+     * Returns the lowest instance number not in use by an open window of the app
+     */
+    nextInstanceNumber(app) {
+        const taken = new Set();
+        this.instances.forEach(instance => {
+            if (instance.app !== app) return;
+
+            // The first instance can be reused once it's closed
+            const isOpen = !window.windowManager || window.windowManager.isWindowOpen(instance.element);
+            if (instance.number > 1 || isOpen) {
+                taken.add(instance.number);
+            }
+        });
+
+        let number = 1;
+        while (taken.has(number)) {
+            number++;
+        }
+        return number;
+    }
+
+    /**
+     * Opens another window of an app, e.g. "Notepad 2".
+     * Reuses the first window from index.html if it's closed.
+     */
+    openNewInstance(app) {
+        const windowManager = window.windowManager;
+        const template = document.getElementById(this.appWindows[app]);
+        if (!windowManager || !template) return null;
+
+        const number = this.nextInstanceNumber(app);
+        if (number === 1) {
+            windowManager.showWindow(template.id);
+            return this.instances.get(template.id);
+        }
+
+        // Clone the first window's content without its per-instance state
+        const content = document.createDocumentFragment();
+        const templateContent = template.querySelector('.app-content');
+        Array.from(templateContent.childNodes).forEach(node => {
+            content.appendChild(node.cloneNode(true));
+        });
+        content.querySelectorAll('.gallery-grid').forEach(grid => {
+            grid.innerHTML = '';
+        });
+
+        const baseTitle = windowManager.getWindowTitle(template.id);
+        const handle = windowManager.createWindow({
+            id: `${template.id}-${number}`,
+            title: `${baseTitle} ${number}`,
+            icon: template.dataset.icon,
+            content,
+            // offsetWidth ignores the transform of a minimized window
+            width: template.offsetWidth || undefined,
+            height: template.offsetHeight || undefined,
+            minWidth: template.dataset.minWidth,
+            minHeight: template.dataset.minHeight,
+            className: template.className.replace(/\b(active|focused|inactive|minimized|restoring)\b/g, '').trim(),
+            contentClassName: Array.from(templateContent.classList).filter(name => name !== 'app-content').join(' ')
+        });
+
+        const instance = this.registerInstance(app, handle.element, number);
+        const source = this.getCascadeSource(app);
+        handle.open();
+
+        // Cascade from the app's front-most window instead of covering it
+        if (source) {
+            const rect = source.getBoundingClientRect();
+            windowManager.setWindowBounds(handle.element, {
+                left: rect.left + 30,
+                top: rect.top + 30,
+                width: handle.element.offsetWidth,
+                height: handle.element.offsetHeight
+            });
+        }
+
+        console.log(`✓ Opened ${baseTitle} ${number}`);
+        return instance;
+    }
+
+    /**
+     * Returns the app's front-most open, unminimized window
+     */
+    getCascadeSource(app) {
+        const windowManager = window.windowManager;
+        const windowId = windowManager.getOpenWindowIds().find(id => {
+            const instance = this.instances.get(id);
+            return instance && instance.app === app;
+        });
+        return windowId ? document.getElementById(windowId) : null;
+    }
+
+    destroyInstance(instance) {
+        if (instance.app === 'camera') {
+            this.stopCamera(instance);
+        }
+
+        this.instances.delete(instance.windowId);
+        if (window.windowManager) {
+            window.windowManager.destroyWindow(instance.windowId);
+        }
+    }
+
+    /**
+     * Looks up an instance by window id, falling back to the app's first window
+     */
+    getInstance(app, windowId) {
+        return this.instances.get(windowId || this.appWindows[app]);
+    }
+
+    /**
+     * Returns the id of an app's front-most open window, or null
+     */
+    getFrontWindowId(app) {
+        if (!window.windowManager) return null;
+
+        const windowId = window.windowManager.getOpenWindowIds().find(id =>
+            this.instances.has(id) && this.instances.get(id).app === app);
+        return windowId || null;
+    }
+
+    // ========================================
+    // MENUS
+    // ========================================
+
+    /**
+     * Tells the menu bar what each app's File/Edit/View menus contain
+     */
+    registerMenus() {
+        const menuBar = window.menuBar;
+        if (!menuBar) return;
+
+        menuBar.registerApp('camera', {
+            name: 'Camera',
+            menus: () => ({
+                File: [
+                    { label: 'New Camera Window', shortcut: 'Mod+N', action: () => this.openNewInstance('camera') }
+                ]
+            })
+        });
+
+        menuBar.registerApp('notepad', {
+            name: 'Notepad',
+            menus: (windowId) => {
+                const instance = this.instances.get(windowId);
+                return {
+                    File: [
+                        { label: 'New Notepad', shortcut: 'Mod+N', action: () => this.openNewInstance('notepad') },
+                        { label: 'Save to Gallery', shortcut: 'Mod+S', action: () => this.submitDrawing(windowId) },
+                        { label: 'Export as PNG…', shortcut: 'Mod+Shift+E', action: () => this.exportDrawing(windowId) }
+                    ],
+                    Edit: [
+                        { label: 'Undo', shortcut: 'Mod+Z', disabled: instance.undoStack.length === 0, action: () => this.undoDrawing(windowId) },
+                        { separator: true },
+                        { label: 'Clear', action: () => this.clearNotepad(windowId) }
+                    ],
+                    View: [
+                        { label: 'Zoom In', shortcut: 'Mod+=', action: () => this.zoomNotepad(windowId, 1.25) },
+                        { label: 'Zoom Out', shortcut: 'Mod+-', action: () => this.zoomNotepad(windowId, 0.8) },
+                        { label: 'Actual Size', shortcut: 'Mod+0', disabled: instance.zoom === 1, action: () => this.zoomNotepad(windowId, null) }
+                    ]
+                };
+            }
+        });
+
+        menuBar.registerApp('gallery', {
+            name: 'Gallery',
+            menus: () => ({
+                File: [
+                    { label: 'New Gallery Window', shortcut: 'Mod+N', action: () => this.openNewInstance('gallery') }
+                ]
+            })
+        });
+    }
+
+    /**
+     * Right-click menus for the app icons and for drawings in the Gallery
+     */
+    registerContextMenus() {
+        const contextMenu = window.contextMenu;
+        if (!contextMenu) return;
+
+        const icons = {
+            cameraIcon: { app: 'camera', open: () => this.openCamera(), newLabel: 'New Camera Window' },
+            notepadIcon: { app: 'notepad', open: () => this.openNotepad(), newLabel: 'New Notepad' },
+            galleryIcon: { app: 'gallery', open: () => this.openGallery(), newLabel: 'New Gallery Window' }
+        };
+
+        Object.keys(icons).forEach(iconId => {
+            const icon = document.getElementById(iconId);
+            if (!icon) return;
+
+            const { app, open, newLabel } = icons[iconId];
+            contextMenu.register(icon, () => [
+                { label: 'Open', action: open },
+                { label: newLabel, action: () => this.openNewInstance(app) }
+            ]);
+        });
+
+        contextMenu.register('.gallery-item', (item) => {
+            const drawing = this.drawings.find(d => String(d.id) === item.dataset.drawingId);
+            if (!drawing) return null;
+
+            return [
+                { label: 'Download PNG', icon: '⬇', action: () => this.downloadDrawing(drawing.id) },
+                { label: 'Add Tag…', icon: '#', action: () => this.promptForTag(drawing.id) },
+                {
+                    label: 'Set as Desktop Picture',
+                    icon: '🖼',
+                    disabled: !window.desktopManager,
+                    action: () => window.desktopManager.setWallpaperImage(drawing.dataURL)
+                },
+                { separator: true },
+                { label: 'Move to Trash', icon: '🗑', action: () => this.deleteDrawing(drawing.id) }
+            ];
+        });
+    }
+
+    /**
+     * Lets Gallery drawings go in the Trash and come back out
+     */
+    registerTrashKinds() {
+        if (!window.trash) return;
+
+        window.trash.registerKind('drawing', {
+            moveToTrash: (drawingId) => this.deleteDrawing(Number(drawingId)),
+            restore: (item) => {
+                // Back in its old place, drawings being in the order they were made
+                this.drawings.push(item.data);
+                this.drawings.sort((a, b) => a.id - b.id);
+                this.renderGallery();
+            }
+        });
+    }
+
+    /**
+     * Makes drawings findable in Spotlight (by title, date or tag) and adds
+     * commands that work whichever window is focused
+     */
+    registerSpotlight() {
+        const spotlight = window.spotlight;
+        if (!spotlight) return;
+
+        spotlight.registerProvider('Drawings', () => this.drawings.map(drawing => ({
+            title: this.getDrawingTitle(drawing),
+            subtitle: drawing.timestamp,
+            icon: '🖼️',
+            image: drawing.dataURL,
+            keywords: (drawing.tags || []).map(tag => `#${tag}`),
+            detail: (drawing.tags || []).map(tag => `#${tag}`).join(' '),
+            url: `drawn://drawing/${drawing.id}`,
+            action: () => this.showDrawing(drawing.id)
+        })));
+
+        spotlight.registerCommand({
+            title: 'New Notepad',
+            icon: '✏️',
+            keywords: ['draw', 'sketch'],
+            action: () => this.openNewInstance('notepad')
+        });
+        spotlight.registerCommand({
+            title: 'Clear Notepad',
+            icon: '✏️',
+            keywords: ['erase', 'canvas'],
+            isAvailable: () => !!this.getFrontWindowId('notepad'),
+            action: () => this.clearNotepad(this.getFrontWindowId('notepad'))
+        });
+    }
+
+    getDrawingTitle(drawing) {
+        return drawing.source ? `Drawing from ${drawing.source.title}` : 'Drawing';
+    }
+
+    /**
+     * Browser pages for the drawings: drawn://gallery and drawn://drawing/<id>
+     */
+    registerBrowserRoutes() {
+        const browser = window.browser;
+        if (!browser) return;
+
+        const findDrawing = (params) => this.drawings.find(d => String(d.id) === params.id);
+
+        browser.registerRoute('gallery', {
+            title: 'Gallery',
+            icon: '🖼️',
+            description: 'Every drawing submitted from Notepad, newest last.',
+            keywords: ['drawings', 'pictures'],
+            listed: true,
+            render: () => this.renderGalleryPage()
+        });
+
+        browser.registerRoute('drawing/:id', {
+            title: (params) => {
+                const drawing = findDrawing(params);
+                return drawing ? this.getDrawingTitle(drawing) : 'Page Not Found';
+            },
+            icon: '🖼️',
+            render: (params) => {
+                const drawing = findDrawing(params);
+                return drawing ? this.renderDrawingPage(drawing) : null;
+            },
+            suggestions: () => this.drawings.map(drawing => ({
+                url: `drawn://drawing/${drawing.id}`,
+                title: this.getDrawingTitle(drawing),
+                icon: '🖼️',
+                keywords: (drawing.tags || []).map(tag => `#${tag}`)
+            }))
+        });
+    }
+
+    renderGalleryPage() {
+        const page = document.createElement('article');
+        page.className = 'internal-page';
+        page.innerHTML = '<h1>Gallery</h1>';
+
+        if (this.drawings.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No drawings yet. Create one in Notepad!';
+            page.appendChild(empty);
+            return page;
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'internal-page-grid';
+        this.drawings.forEach(drawing => {
+            const link = document.createElement('a');
+            link.className = 'internal-page-card';
+            link.href = `drawn://drawing/${drawing.id}`;
+
+            const img = document.createElement('img');
+            img.src = drawing.dataURL;
+            img.alt = this.getDrawingTitle(drawing);
+
+            const caption = document.createElement('span');
+            caption.textContent = drawing.timestamp;
+
+            link.appendChild(img);
+            link.appendChild(caption);
+            grid.appendChild(link);
+        });
+        page.appendChild(grid);
+        return page;
+    }
+
+    renderDrawingPage(drawing) {
+        const page = document.createElement('article');
+        page.className = 'internal-page';
+
+        const title = document.createElement('h1');
+        title.textContent = this.getDrawingTitle(drawing);
+
+        const img = document.createElement('img');
+        img.className = 'internal-page-drawing';
+        img.src = drawing.dataURL;
+        img.alt = title.textContent;
+
+        const details = document.createElement('p');
+        details.textContent = drawing.timestamp;
+        if (drawing.tags && drawing.tags.length > 0) {
+            details.textContent += ' · ' + drawing.tags.map(tag => `#${tag}`).join(' ');
+        }
+
+        const actions = document.createElement('p');
+        const back = document.createElement('a');
+        back.href = 'drawn://gallery';
+        back.textContent = '← All drawings';
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'internal-page-button';
+        open.textContent = 'Show in Gallery';
+        open.addEventListener('click', () => this.showDrawing(drawing.id));
+        actions.appendChild(back);
+        actions.appendChild(open);
+
+        page.appendChild(title);
+        page.appendChild(img);
+        page.appendChild(details);
+        page.appendChild(actions);
+        return page;
     }
 
     // ========================================
@@ -53,20 +540,20 @@ class DesktopApps {
 
     openCamera() {
         if (window.windowManager) {
+            // The 'open' hook starts the webcam
             window.windowManager.showWindow('cameraWindow');
-            // windowManager.showWindow calls startWebcam automatically
         } else {
             const cameraWindow = document.getElementById('cameraWindow');
             if (cameraWindow) {
                 cameraWindow.classList.add('active');
-                this.startWebcam();
+                this.startWebcam(this.getInstance('camera'));
             }
         }
     }
 
-    async startWebcam() {
-        const video = document.getElementById('cameraVideo');
-        const canvas = document.getElementById('cameraCanvas');
+    async startWebcam(instance) {
+        const video = instance.element.querySelector('.camera-video');
+        const canvas = instance.element.querySelector('.camera-canvas');
 
         if (!video || !canvas) {
             console.error('Camera elements not found');
@@ -74,17 +561,18 @@ class DesktopApps {
         }
 
         const ctx = canvas.getContext('2d');
+        instance.paused = false;
 
         try {
             // Stop any existing stream and animation first
-            if (this.animationFrameId) {
-                cancelAnimationFrame(this.animationFrameId);
-                this.animationFrameId = null;
+            if (instance.animationFrameId) {
+                cancelAnimationFrame(instance.animationFrameId);
+                instance.animationFrameId = null;
             }
 
-            if (this.currentStream) {
-                this.currentStream.getTracks().forEach(track => track.stop());
-                this.currentStream = null;
+            if (instance.stream) {
+                instance.stream.getTracks().forEach(track => track.stop());
+                instance.stream = null;
             }
 
             // Fully reset video element
@@ -94,16 +582,17 @@ class DesktopApps {
             // Small delay to ensure video element is fully reset
             await new Promise(resolve => setTimeout(resolve, 100));
 
-            // Request fresh webcam access
-            this.currentStream = await navigator.mediaDevices.getUserMedia({
+            // Request fresh webcam access at the preferred resolution
+            const [width, height] = this.getSetting('camera.resolution', '640x480').split('x').map(Number);
+            instance.stream = await navigator.mediaDevices.getUserMedia({
                 video: {
-                    width: { ideal: 640 },
-                    height: { ideal: 480 }
+                    width: { ideal: width },
+                    height: { ideal: height }
                 }
             });
 
             // Set new stream to video element
-            video.srcObject = this.currentStream;
+            video.srcObject = instance.stream;
 
             // Wait for video to be ready and playing
             await video.play();
@@ -117,7 +606,7 @@ class DesktopApps {
 
                 canvas.width = video.videoWidth;
                 canvas.height = video.videoHeight;
-                this.renderCameraFrame(video, canvas, ctx);
+                this.renderCameraFrame(instance, video, canvas, ctx);
             };
 
             // Handle both cases: metadata already loaded or needs to load
@@ -127,6 +616,11 @@ class DesktopApps {
                 video.addEventListener('loadedmetadata', startRendering, { once: true });
             }
 
+            // The window may have been minimized while waiting for permission
+            if (instance.paused) {
+                this.pauseCamera(instance);
+            }
+
         } catch (error) {
             console.error('Error accessing webcam:', error);
 
@@ -141,21 +635,72 @@ class DesktopApps {
                 errorMessage += error.message;
             }
 
-            alert(errorMessage);
+            this.notify({
+                title: 'Camera Unavailable',
+                message: errorMessage,
+                icon: '📷',
+                type: 'error',
+                actions: [
+                    { label: 'Try Again', action: () => this.startWebcam(instance) },
+                    { label: 'Camera Settings…', action: () => this.showCameraHelp() }
+                ]
+            });
         }
     }
 
-    renderCameraFrame(video, canvas, ctx) {
+    /**
+     * Explains how to give the page camera access again
+     */
+    showCameraHelp() {
+        if (!window.windowManager) return;
+
+        const windowId = 'cameraHelpWindow';
+        if (!document.getElementById(windowId)) {
+            const help = document.createElement('div');
+            help.className = 'camera-help';
+            help.innerHTML = `
+                <p>The camera is blocked or busy. To use it here:</p>
+                <ol>
+                    <li>Click the camera or lock icon in your browser's address bar.</li>
+                    <li>Set <strong>Camera</strong> to <strong>Allow</strong> for this site.</li>
+                    <li>Close other apps that may be using the camera.</li>
+                    <li>Choose <strong>Try Again</strong> in the notification, or reopen Camera.</li>
+                </ol>
+            `;
+
+            window.windowManager.createWindow({
+                id: windowId,
+                title: 'Camera Settings',
+                icon: '📷',
+                content: help,
+                width: 380,
+                height: 300
+            });
+
+            // Only one help window - close gets rid of it
+            window.windowManager.on('close', windowId, () => {
+                setTimeout(() => window.windowManager.destroyWindow(windowId), 0);
+            });
+        }
+
+        window.windowManager.showWindow(windowId);
+    }
+
+    renderCameraFrame(instance, video, canvas, ctx) {
         if (!video || video.paused || video.ended) {
             return;
         }
 
         // Check if window is still active
-        const cameraWindow = document.getElementById('cameraWindow');
-        if (!cameraWindow || !cameraWindow.classList.contains('active')) {
+        if (!instance.element.isConnected || !instance.element.classList.contains('active')) {
             return;
         }
 
+        // Mirrored like a mirror (the sketch filter's putImageData ignores the flip)
+        if (this.getSetting('camera.mirror', false)) {
+            ctx.setTransform(-1, 0, 0, 1, canvas.width, 0);
+        }
+
         // Check if in drawn mode - if yes, apply sketch filter
         const isDrawnMode = document.body.classList.contains('drawn-mode');
 
@@ -165,9 +710,11 @@ class DesktopApps {
             ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
         }
 
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
         // Continue animation loop
-        this.animationFrameId = requestAnimationFrame(() =>
-            this.renderCameraFrame(video, canvas, ctx)
+        instance.animationFrameId = requestAnimationFrame(() =>
+            this.renderCameraFrame(instance, video, canvas, ctx)
         );
     }
 
@@ -235,21 +782,21 @@ class DesktopApps {
     }
 
 
-    stopCamera() {
+    stopCamera(instance) {
         // Stop animation frame
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
+        if (instance.animationFrameId) {
+            cancelAnimationFrame(instance.animationFrameId);
+            instance.animationFrameId = null;
         }
 
         // Stop all webcam stream tracks
-        if (this.currentStream) {
-            this.currentStream.getTracks().forEach(track => track.stop());
-            this.currentStream = null;
+        if (instance.stream) {
+            instance.stream.getTracks().forEach(track => track.stop());
+            instance.stream = null;
         }
 
         // Clear video element completely
-        const video = document.getElementById('cameraVideo');
+        const video = instance.element.querySelector('.camera-video');
         if (video) {
             video.srcObject = null;
             video.pause();
@@ -257,22 +804,68 @@ class DesktopApps {
         }
 
         // Clear canvas
-        const canvas = document.getElementById('cameraCanvas');
+        const canvas = instance.element.querySelector('.camera-canvas');
         if (canvas) {
             const ctx = canvas.getContext('2d');
             ctx.clearRect(0, 0, canvas.width, canvas.height);
         }
     }
 
-    closeCamera() {
-        this.stopCamera();
+    /**
+     * Freezes the camera on its last frame (used while the window is minimized)
+     */
+    pauseCamera(instance) {
+        instance.paused = true;
+
+        if (instance.animationFrameId) {
+            cancelAnimationFrame(instance.animationFrameId);
+            instance.animationFrameId = null;
+        }
+
+        // Disabled tracks stop delivering frames but keep the permission
+        if (instance.stream) {
+            instance.stream.getTracks().forEach(track => {
+                track.enabled = false;
+            });
+        }
+
+        const video = instance.element.querySelector('.camera-video');
+        if (video) {
+            video.pause();
+        }
+    }
+
+    async resumeCamera(instance) {
+        instance.paused = false;
+
+        const video = instance.element.querySelector('.camera-video');
+        const canvas = instance.element.querySelector('.camera-canvas');
+        if (!instance.stream || !video || !canvas) return;
+
+        instance.stream.getTracks().forEach(track => {
+            track.enabled = true;
+        });
+
+        try {
+            await video.play();
+            if (!instance.animationFrameId) {
+                this.renderCameraFrame(instance, video, canvas, canvas.getContext('2d'));
+            }
+        } catch (error) {
+            console.error('Error resuming webcam:', error);
+        }
+    }
+
+    closeCamera(windowId) {
+        const instance = this.getInstance('camera', windowId);
+        if (!instance) return;
+
         if (window.windowManager) {
-            window.windowManager.hideWindow('cameraWindow');
+            // The 'close' hook stops the webcam
+            window.windowManager.hideWindow(instance.windowId);
         } else {
-            const cameraWindow = document.getElementById('cameraWindow');
-            if (cameraWindow) {
-                cameraWindow.classList.remove('active');
-            }
+            this.stopCamera(instance);
+            instance.element.classList.remove('active');
         }
     }
 
@@ -287,163 +880,351 @@ class DesktopApps {
             const notepadWindow = document.getElementById('notepadWindow');
             if (notepadWindow) {
                 notepadWindow.classList.add('active');
-                this.setupDrawingCanvas();
+                this.setupDrawingCanvas(this.getInstance('notepad'));
             }
         }
     }
 
-    setupDrawingCanvas() {
-        this.canvas = document.getElementById('notepadCanvas');
-        if (!this.canvas) {
+    /**
+     * Wires up an instance's Clear and Submit buttons
+     */
+    setupNotepadControls(instance) {
+        const controls = instance.element.querySelector('.notepad-controls');
+        if (!controls) return;
+
+        controls.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'clear') {
+                this.clearNotepad(instance.windowId);
+            } else if (button.dataset.action === 'submit') {
+                this.submitDrawing(instance.windowId);
+            }
+        });
+    }
+
+    /**
+     * Each Notepad starts with the default pen from Preferences
+     */
+    applyPenDefaults(instance) {
+        const colorInput = instance.element.querySelector('.pen-color');
+        const sizeInput = instance.element.querySelector('.pen-size');
+        if (colorInput) {
+            colorInput.value = this.getSetting('notepad.penColor', colorInput.value);
+        }
+        if (sizeInput) {
+            sizeInput.value = this.getSetting('notepad.penSize', sizeInput.value);
+        }
+    }
+
+    setupDrawingCanvas(instance) {
+        instance.canvas = instance.element.querySelector('.notepad-canvas');
+        if (!instance.canvas) {
             console.error('Notepad canvas not found');
             return;
         }
 
         // Set canvas size to match its display size
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
-
-        this.ctx = this.canvas.getContext('2d');
-
-        // Fill with white background
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Set up drawing properties
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
+        const rect = instance.canvas.getBoundingClientRect();
+        instance.canvas.width = rect.width;
+        instance.canvas.height = rect.height;
+        instance.canvasBackup = null;
+        instance.undoStack = [];
+        instance.zoom = 1;
+        instance.canvas.style.transform = '';
 
         // Remove old listeners if they exist
-        const newCanvas = this.canvas.cloneNode(true);
-        this.canvas.parentNode.replaceChild(newCanvas, this.canvas);
-        this.canvas = newCanvas;
-        this.ctx = this.canvas.getContext('2d');
+        const newCanvas = instance.canvas.cloneNode(true);
+        instance.canvas.parentNode.replaceChild(newCanvas, instance.canvas);
+        const canvas = newCanvas;
+        instance.canvas = canvas;
+        instance.ctx = canvas.getContext('2d');
 
-        // Fill with white background again
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
+        // Fill with white background
+        instance.ctx.fillStyle = 'white';
+        instance.ctx.fillRect(0, 0, canvas.width, canvas.height);
+        instance.ctx.lineCap = 'round';
+        instance.ctx.lineJoin = 'round';
 
         // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-        this.canvas.addEventListener('mouseleave', () => this.stopDrawing());
+        canvas.addEventListener('mousedown', (e) => this.startDrawing(instance, e));
+        canvas.addEventListener('mousemove', (e) => this.draw(instance, e));
+        canvas.addEventListener('mouseup', () => this.stopDrawing(instance));
+        canvas.addEventListener('mouseleave', () => this.stopDrawing(instance));
 
         // Touch events
-        this.canvas.addEventListener('touchstart', (e) => {
+        canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
             const touch = e.touches[0];
             const mouseEvent = new MouseEvent('mousedown', {
                 clientX: touch.clientX,
                 clientY: touch.clientY
             });
-            this.canvas.dispatchEvent(mouseEvent);
+            canvas.dispatchEvent(mouseEvent);
         });
 
-        this.canvas.addEventListener('touchmove', (e) => {
+        canvas.addEventListener('touchmove', (e) => {
             e.preventDefault();
             const touch = e.touches[0];
             const mouseEvent = new MouseEvent('mousemove', {
                 clientX: touch.clientX,
                 clientY: touch.clientY
             });
-            this.canvas.dispatchEvent(mouseEvent);
+            canvas.dispatchEvent(mouseEvent);
         });
 
-        this.canvas.addEventListener('touchend', (e) => {
+        canvas.addEventListener('touchend', (e) => {
             e.preventDefault();
             const mouseEvent = new MouseEvent('mouseup', {});
-            this.canvas.dispatchEvent(mouseEvent);
+            canvas.dispatchEvent(mouseEvent);
         });
 
-        console.log('✓ Drawing canvas initialized:', this.canvas.width, 'x', this.canvas.height);
+        console.log('✓ Drawing canvas initialized:', canvas.width, 'x', canvas.height);
     }
 
-    startDrawing(e) {
-        this.isDrawing = true;
-        const rect = this.canvas.getBoundingClientRect();
-        this.lastX = e.clientX - rect.left;
-        this.lastY = e.clientY - rect.top;
+    /**
+     * Matches the canvas bitmap to its displayed size after the window resizes.
+     * The drawing is copied back unscaled, so it keeps its aspect ratio.
+     */
+    resizeDrawingCanvas(instance) {
+        const canvas = instance.canvas;
+        const ctx = instance.ctx;
+        if (!canvas || !ctx) return;
+
+        // offsetWidth ignores the zoom transform
+        const width = canvas.offsetWidth;
+        const height = canvas.offsetHeight;
+
+        if (width === 0 || height === 0) return;
+        if (width === canvas.width && height === canvas.height) return;
+
+        // Merge the visible drawing into the backup so shrinking doesn't lose strokes
+        const previous = instance.canvasBackup;
+        const backup = document.createElement('canvas');
+        backup.width = Math.max(previous ? previous.width : 0, canvas.width);
+        backup.height = Math.max(previous ? previous.height : 0, canvas.height);
+
+        const backupCtx = backup.getContext('2d');
+        if (previous) {
+            backupCtx.drawImage(previous, 0, 0);
+        }
+        backupCtx.drawImage(canvas, 0, 0);
+        instance.canvasBackup = backup;
+
+        // Changing the size resets the bitmap and context state
+        canvas.width = width;
+        canvas.height = height;
+
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(backup, 0, 0);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
     }
 
-    draw(e) {
-        if (!this.isDrawing) return;
+    startDrawing(instance, e) {
+        this.pushUndoState(instance);
+
+        instance.isDrawing = true;
+        const rect = instance.canvas.getBoundingClientRect();
+        instance.lastX = (e.clientX - rect.left) / instance.zoom;
+        instance.lastY = (e.clientY - rect.top) / instance.zoom;
+    }
 
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    draw(instance, e) {
+        if (!instance.isDrawing) return;
 
-        // Get current color and size
-        const colorInput = document.getElementById('penColor');
-        const sizeInput = document.getElementById('penSize');
+        // Pointer positions are on screen; divide out the zoom to get canvas pixels
+        const rect = instance.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / instance.zoom;
+        const y = (e.clientY - rect.top) / instance.zoom;
+
+        // Get current color and size (each instance has its own pen)
+        const colorInput = instance.element.querySelector('.pen-color');
+        const sizeInput = instance.element.querySelector('.pen-size');
 
         const color = colorInput ? colorInput.value : '#000000';
         const size = sizeInput ? parseInt(sizeInput.value) : 3;
 
-        this.ctx.strokeStyle = color;
-        this.ctx.lineWidth = size;
+        const ctx = instance.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = size;
+
+        ctx.beginPath();
+        ctx.moveTo(instance.lastX, instance.lastY);
+        ctx.lineTo(x, y);
+        ctx.stroke();
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.lastX, this.lastY);
-        this.ctx.lineTo(x, y);
-        this.ctx.stroke();
+        instance.lastX = x;
+        instance.lastY = y;
+    }
 
-        this.lastX = x;
-        this.lastY = y;
+    stopDrawing(instance) {
+        instance.isDrawing = false;
     }
 
-    stopDrawing() {
-        this.isDrawing = false;
+    /**
+     * Remembers the whole drawing (backup included) so a stroke can be undone
+     */
+    pushUndoState(instance) {
+        const { canvas, canvasBackup } = instance;
+        if (!canvas) return;
+
+        const snapshot = document.createElement('canvas');
+        snapshot.width = Math.max(canvasBackup ? canvasBackup.width : 0, canvas.width);
+        snapshot.height = Math.max(canvasBackup ? canvasBackup.height : 0, canvas.height);
+
+        const snapshotCtx = snapshot.getContext('2d');
+        if (canvasBackup) {
+            snapshotCtx.drawImage(canvasBackup, 0, 0);
+        }
+        snapshotCtx.drawImage(canvas, 0, 0);
+
+        instance.undoStack.push(snapshot);
+        if (instance.undoStack.length > 20) {
+            instance.undoStack.shift();
+        }
     }
 
-    clearNotepad() {
-        if (this.ctx && this.canvas) {
-            this.ctx.fillStyle = 'white';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    undoDrawing(windowId) {
+        const instance = this.getInstance('notepad', windowId);
+        if (!instance || !instance.ctx || instance.undoStack.length === 0) return;
+
+        const snapshot = instance.undoStack.pop();
+        const { canvas, ctx } = instance;
+
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(snapshot, 0, 0);
+        instance.canvasBackup = snapshot;
+    }
+
+    /**
+     * Scales the canvas on screen; factor null goes back to actual size
+     */
+    zoomNotepad(windowId, factor) {
+        const instance = this.getInstance('notepad', windowId);
+        if (!instance || !instance.canvas) return;
+
+        const zoom = factor ? instance.zoom * factor : 1;
+        instance.zoom = Math.min(4, Math.max(0.25, zoom));
+
+        const canvas = instance.canvas;
+        canvas.style.transformOrigin = '0 0';
+        canvas.style.transform = instance.zoom === 1 ? '' : `scale(${instance.zoom})`;
+    }
+
+    /**
+     * Downloads the drawing as a PNG named after its window
+     */
+    exportDrawing(windowId) {
+        const instance = this.getInstance('notepad', windowId);
+        if (!instance || !instance.canvas) return;
+
+        const title = window.windowManager
+            ? window.windowManager.getWindowTitle(instance.windowId)
+            : 'Notepad';
+
+        const link = document.createElement('a');
+        link.href = instance.canvas.toDataURL('image/png');
+        link.download = `${title}.png`;
+        link.click();
+    }
+
+    clearNotepad(windowId) {
+        const instance = this.getInstance('notepad', windowId);
+        if (instance && instance.ctx && instance.canvas) {
+            this.pushUndoState(instance);
+            instance.ctx.fillStyle = 'white';
+            instance.ctx.fillRect(0, 0, instance.canvas.width, instance.canvas.height);
+            instance.canvasBackup = null;
             console.log('✓ Canvas cleared');
         }
     }
 
-    submitDrawing() {
-        if (!this.canvas) {
-            alert('No drawing to submit!');
+    submitDrawing(windowId) {
+        const instance = this.getInstance('notepad', windowId);
+        if (!instance || !instance.canvas || this.isCanvasBlank(instance.canvas)) {
+            this.notify({
+                title: 'Nothing to Submit',
+                message: 'Draw something in Notepad first.',
+                icon: '✏️'
+            });
             return;
         }
 
         // Convert canvas to PNG
-        const dataURL = this.canvas.toDataURL('image/png');
+        const dataURL = instance.canvas.toDataURL('image/png');
 
-        // Add to drawings array
+        // Add to drawings array, remembering which Notepad it came from
         const drawing = {
             id: Date.now(),
             dataURL: dataURL,
-            timestamp: new Date().toLocaleString()
+            timestamp: new Date().toLocaleString(),
+            tags: [],
+            source: {
+                windowId: instance.windowId,
+                title: window.windowManager
+                    ? window.windowManager.getWindowTitle(instance.windowId)
+                    : 'Notepad'
+            }
         };
 
         this.drawings.push(drawing);
 
-        console.log('✓ Drawing submitted:', drawing.timestamp);
+        console.log('✓ Drawing submitted:', drawing.timestamp, 'from', drawing.source.title);
 
         // Clear canvas
-        this.clearNotepad();
+        this.clearNotepad(instance.windowId);
+        this.renderGallery();
 
-        // Open gallery to show submission
-        this.openGallery();
+        this.notify({
+            title: 'Drawing Saved',
+            message: `Added to the Gallery from ${drawing.source.title}.`,
+            icon: '🖼️',
+            type: 'success',
+            actions: [
+                { label: 'View in Gallery', action: () => this.showDrawing(drawing.id) }
+            ]
+        });
+    }
+
+    /**
+     * Checks whether a canvas is still plain white (nothing drawn since it was cleared)
+     */
+    isCanvasBlank(canvas) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx || canvas.width === 0 || canvas.height === 0) return true;
 
-        alert('Drawing submitted to gallery!');
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i] !== 255 || data[i + 1] !== 255 || data[i + 2] !== 255) {
+                return false;
+            }
+        }
+        return true;
     }
 
-    closeNotepad() {
+    /**
+     * Shows a notification, falling back to alert() without the notification center
+     */
+    notify(options) {
+        if (window.notifications) {
+            window.notifications.notify(options);
+        } else {
+            alert(options.message ? `${options.title}\n${options.message}` : options.title);
+        }
+    }
+
+    closeNotepad(windowId) {
+        const instance = this.getInstance('notepad', windowId);
+        if (!instance) return;
+
         if (window.windowManager) {
-            window.windowManager.hideWindow('notepadWindow');
+            window.windowManager.hideWindow(instance.windowId);
         } else {
-            const notepadWindow = document.getElementById('notepadWindow');
-            if (notepadWindow) {
-                notepadWindow.classList.remove('active');
-            }
+            instance.element.classList.remove('active');
         }
     }
 
@@ -453,20 +1234,34 @@ class DesktopApps {
 
     openGallery() {
         if (window.windowManager) {
+            // The 'open' hook renders the drawings
             window.windowManager.showWindow('galleryWindow');
         } else {
             const galleryWindow = document.getElementById('galleryWindow');
             if (galleryWindow) {
                 galleryWindow.classList.add('active');
             }
+            this.renderGallery();
         }
-        this.renderGallery();
     }
 
+    /**
+     * Renders the drawings into every Gallery window
+     */
     renderGallery() {
-        const galleryGrid = document.getElementById('galleryGrid');
-        if (!galleryGrid) return;
+        document.querySelectorAll('.gallery-window .gallery-grid').forEach(galleryGrid => {
+            this.renderGalleryGrid(galleryGrid);
+        });
 
+        // A browser tab may be showing the drawings too
+        if (window.browser) {
+            window.browser.refreshPage();
+        }
+
+        console.log('✓ Gallery rendered with', this.drawings.length, 'drawings');
+    }
+
+    renderGalleryGrid(galleryGrid) {
         // Clear existing content
         galleryGrid.innerHTML = '';
 
@@ -479,6 +1274,14 @@ class DesktopApps {
         this.drawings.forEach((drawing, index) => {
             const item = document.createElement('div');
             item.className = 'gallery-item';
+            item.dataset.drawingId = drawing.id;
+
+            // Can be dragged onto the Trash in the dock
+            item.draggable = true;
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-trash-item', JSON.stringify({ kind: 'drawing', id: drawing.id }));
+                e.dataTransfer.effectAllowed = 'move';
+            });
 
             const img = document.createElement('img');
             img.src = drawing.dataURL;
@@ -486,24 +1289,101 @@ class DesktopApps {
 
             const caption = document.createElement('div');
             caption.className = 'gallery-caption';
-            caption.textContent = drawing.timestamp;
+            caption.textContent = drawing.source
+                ? `${drawing.source.title} · ${drawing.timestamp}`
+                : drawing.timestamp;
+            if (drawing.tags && drawing.tags.length > 0) {
+                caption.textContent += ' · ' + drawing.tags.map(tag => `#${tag}`).join(' ');
+            }
 
             item.appendChild(img);
             item.appendChild(caption);
             galleryGrid.appendChild(item);
         });
+    }
 
-        console.log('✓ Gallery rendered with', this.drawings.length, 'drawings');
+    /**
+     * Opens the Gallery and points out one drawing in it
+     */
+    showDrawing(drawingId) {
+        this.openGallery();
+
+        const galleryWindow = document.getElementById(this.getFrontWindowId('gallery') || this.appWindows.gallery);
+        const item = galleryWindow && galleryWindow.querySelector(`.gallery-item[data-drawing-id="${drawingId}"]`);
+        if (!item) return;
+
+        if (item.scrollIntoView) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+        item.classList.add('highlighted');
+        setTimeout(() => item.classList.remove('highlighted'), 1500);
+    }
+
+    async promptForTag(drawingId) {
+        if (!window.windowManager) return;
+
+        const tag = await window.windowManager.prompt({
+            title: 'Add Tag',
+            icon: '🏷️',
+            message: 'Tag this drawing:',
+            placeholder: 'e.g. sketch',
+            confirmLabel: 'Add Tag'
+        });
+        if (tag) {
+            this.addDrawingTag(drawingId, tag);
+        }
+    }
+
+    addDrawingTag(drawingId, tag) {
+        const drawing = this.drawings.find(d => d.id === drawingId);
+        const clean = tag.trim().replace(/^#/, '').toLowerCase();
+        if (!drawing || !clean) return;
+
+        drawing.tags = drawing.tags || [];
+        if (!drawing.tags.includes(clean)) {
+            drawing.tags.push(clean);
+            this.renderGallery();
+        }
+    }
+
+    downloadDrawing(drawingId) {
+        const drawing = this.drawings.find(d => d.id === drawingId);
+        if (!drawing) return;
+
+        const title = drawing.source ? drawing.source.title : 'Drawing';
+        const link = document.createElement('a');
+        link.href = drawing.dataURL;
+        link.download = `${title} ${drawing.id}.png`;
+        link.click();
     }
 
-    closeGallery() {
+    /**
+     * Moves a drawing to the Trash (or deletes it if there is no Trash)
+     */
+    deleteDrawing(drawingId) {
+        const drawing = this.drawings.find(d => d.id === drawingId);
+        if (!drawing) return;
+
+        this.drawings = this.drawings.filter(d => d !== drawing);
+        this.renderGallery();
+
+        if (window.trash) {
+            window.trash.add({
+                kind: 'drawing',
+                name: drawing.source ? `Drawing from ${drawing.source.title}` : 'Drawing',
+                data: drawing
+            });
+        }
+    }
+
+    closeGallery(windowId) {
+        const instance = this.getInstance('gallery', windowId);
+        if (!instance) return;
+
         if (window.windowManager) {
-            window.windowManager.hideWindow('galleryWindow');
+            window.windowManager.hideWindow(instance.windowId);
         } else {
-            const galleryWindow = document.getElementById('galleryWindow');
-            if (galleryWindow) {
-                galleryWindow.classList.remove('active');
-            }
+            instance.element.classList.remove('active');
         }
     }
 }
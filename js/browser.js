@@ -0,0 +1,1402 @@
+// ========================================
+// BROWSER
+// Tabs, history and drawn:// pages of the in-desktop web browser
+// Dependencies: windowManager.js, sessionStore.js (optional, keeps the tabs and their history),
+//               menuBar.js and contextMenu.js (optional, for its menus),
+//               spotlight.js (optional, makes its pages searchable and runs the home page search)
+// ========================================
+
+class Browser {
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.windowId = 'browserWindow';
+        this.element = document.getElementById(this.windowId);
+
+        // Open tabs in tab-bar order: { id, history, index }. Each keeps the pages
+        // it visited, oldest first, as { url, title, icon, scrollTop }; index is the one showing.
+        this.tabs = [];
+        this.maxHistory = 50;
+        this.activeTabId = null;
+        this.nextTabId = 1;
+
+        // Internal pages live at drawn://<path>; other modules add theirs with registerRoute()
+        this.scheme = 'drawn';
+        this.homeUrl = 'drawn://home';
+        this.routes = [];
+
+        // How the lock icon shows each scheme
+        this.schemes = {
+            drawn: { icon: '✏️', label: 'Drawn page, built into this desktop' },
+            https: { icon: '🔒', label: 'Secure connection' },
+            http: { icon: '⚠️', label: 'Not secure' }
+        };
+
+        // Home page search
+        this.maxSearchResults = 30;
+        this.recognition = null;
+
+        // Address bar autocomplete
+        this.suggestions = [];
+        this.highlightedSuggestion = -1;
+        this.maxSuggestions = 8;
+
+        // Recently closed tabs, newest last, for Reopen Closed Tab: { tab, index }
+        this.closedTabs = [];
+        this.maxClosedTabs = 10;
+
+        // Holding back or forward this long lists the pages in that direction
+        this.longPressDelay = 500;
+        this.longPressTimer = null;
+        this.suppressNavClick = false;
+
+        // Reorder drag state
+        this.drag = null;
+        this.dragThreshold = 4;
+        this.suppressClick = false;
+
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if (!this.element) return;
+
+        this.tabBar = this.element.querySelector('.browser-tabs');
+        this.content = this.element.querySelector('.browser-content');
+        this.addressBar = this.element.querySelector('.address-bar');
+        this.lockIcon = this.element.querySelector('.lock-icon');
+        this.urlInput = document.getElementById('urlInput');
+        this.backBtn = document.getElementById('backBtn');
+        this.forwardBtn = document.getElementById('forwardBtn');
+        this.refreshBtn = document.getElementById('refreshBtn');
+
+        if (!this.tabBar || !this.content || !this.urlInput) return;
+
+        this.tabBar.setAttribute('role', 'tablist');
+        this.tabBar.setAttribute('aria-label', 'Tabs');
+
+        this.registerBuiltInRoutes();
+        this.setupTabBar();
+        this.setupToolbar();
+        this.setupAddressBar();
+        this.setupLinks();
+        this.setupHomeSearch();
+        this.setupMenus();
+        this.setupSpotlight();
+
+        this.restoreState();
+        if (this.tabs.length === 0) {
+            this.openTab();
+        } else {
+            this.render();
+        }
+
+        console.log('✓ Browser initialized with', this.tabs.length, 'tabs');
+    }
+
+    // ========================================
+    // ROUTES
+    // ========================================
+
+    /**
+     * Adds an internal page at drawn://<path>. Segments starting with ':' are
+     * parameters ('drawing/:id'), as is anything after '?'. options: { title,
+     * icon (strings, or functions of the params), render(params, url) returning
+     * the page's element (or null for not found), description (its search
+     * snippet), keywords, text (body text only the home page search looks
+     * through), listed (offered in autocomplete and search), suggestions()
+     * returning more [{ url, title, icon }] for autocomplete }.
+     * Registering a path again replaces its route, so content/ pages can stand
+     * in for built-in ones.
+     */
+    registerRoute(path, options) {
+        this.routes = this.routes.filter(route => route.path !== path);
+        this.routes.push({ path, segments: path.split('/'), icon: '🌐', ...options });
+
+        // Tabs restored before the route existed pick up its title
+        this.refreshPage();
+    }
+
+    registerBuiltInRoutes() {
+        const home = document.getElementById('pageHome');
+
+        this.registerRoute('home', {
+            title: 'New Tab',
+            icon: '🏠',
+            description: 'Search drawings, pages and commands from one place.',
+            keywords: ['start', 'search'],
+            listed: true,
+            render: () => home
+        });
+
+        this.registerRoute('about', {
+            title: 'About',
+            icon: 'ℹ️',
+            description: 'A desktop you can draw on: Notepad, Camera and the Gallery, and how to get around the browser.',
+            keywords: ['desktop', 'help', 'credits'],
+            listed: true,
+            render: () => this.renderAboutPage()
+        });
+
+        this.registerRoute('search', {
+            title: (params) => (params.q ? `${params.q} - Search` : 'Search'),
+            icon: '🔍',
+            render: (params) => this.renderSearchPage(params.q || '')
+        });
+    }
+
+    /**
+     * Turns what was typed into a full address: 'about' is drawn://about,
+     * 'example.com' is https://example.com
+     */
+    normalizeUrl(address) {
+        const text = address.trim();
+        if (!text) return this.homeUrl;
+
+        const match = /^([a-z][a-z0-9+.-]*):\/\/(.*)$/i.exec(text);
+        if (!match) {
+            return /^[^\s/]+\.[^\s]+$/.test(text) ? `https://${text}` : this.normalizeUrl(`${this.scheme}://${text}`);
+        }
+
+        const scheme = match[1].toLowerCase();
+        if (scheme !== this.scheme) {
+            return `${scheme}://${match[2]}`;
+        }
+
+        const path = match[2].replace(/^\/+|\/+$/g, '');
+        return `${this.scheme}://${path || 'home'}`;
+    }
+
+    getScheme(url) {
+        const match = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Finds the route for an address: { route, params }, route being null
+     * when nothing here serves it
+     */
+    resolve(url) {
+        const prefix = `${this.scheme}://`;
+        if (!url.startsWith(prefix)) {
+            return { route: null, params: {} };
+        }
+
+        const [path, query = ''] = url.slice(prefix.length).split('?');
+        const segments = path.split('/');
+        for (const route of this.routes) {
+            if (route.segments.length !== segments.length) continue;
+
+            const params = Object.fromEntries(new URLSearchParams(query));
+            const matches = route.segments.every((segment, i) => {
+                if (segment.startsWith(':')) {
+                    // A malformed escape (e.g. "100%") matches nothing
+                    try {
+                        params[segment.slice(1)] = decodeURIComponent(segments[i]);
+                    } catch (e) {
+                        return false;
+                    }
+                    return true;
+                }
+                return segment === segments[i];
+            });
+            if (matches) {
+                return { route, params };
+            }
+        }
+
+        return { route: null, params: {} };
+    }
+
+    /**
+     * Title and tab icon of the page at an address
+     */
+    describePage(url) {
+        const { route, params } = this.resolve(url);
+        if (!route) {
+            return { title: 'Page Not Found', icon: '🙈' };
+        }
+
+        const value = (field) => (typeof field === 'function' ? field(params) : field);
+        return { title: value(route.title), icon: value(route.icon) };
+    }
+
+    /**
+     * Builds the page for an address. Static pages (like #pageHome) are shown
+     * as they are; everything else goes in one shared .routed-page.
+     */
+    renderPage(url) {
+        const { route, params } = this.resolve(url);
+        const element = (route && route.render(params, url)) || this.renderNotFoundPage(url);
+
+        if (element.classList.contains('webpage')) {
+            return element;
+        }
+
+        if (!this.routedPage) {
+            this.routedPage = document.createElement('div');
+            this.routedPage.className = 'webpage routed-page';
+            this.content.appendChild(this.routedPage);
+        }
+        this.routedPage.innerHTML = '';
+        this.routedPage.appendChild(element);
+        return this.routedPage;
+    }
+
+    /**
+     * Builds the page again, e.g. after the drawings it lists change
+     */
+    refreshPage() {
+        if (!this.getActiveTab()) return;
+
+        this.rememberScroll();
+        this.tabs.forEach(tab => {
+            tab.history.forEach(entry => Object.assign(entry, this.describePage(entry.url)));
+        });
+        this.render();
+    }
+
+    renderAboutPage() {
+        const page = document.createElement('article');
+        page.className = 'internal-page';
+        page.innerHTML = `
+            <h1>About this Desktop</h1>
+            <p>A desktop you can draw on. Sketch in Notepad, snap pencil-style photos with Camera,
+               and keep everything you make in the Gallery.</p>
+            <h2>Around the browser</h2>
+            <ul>
+                <li><a href="drawn://home">drawn://home</a> is the start page</li>
+                <li><a href="drawn://gallery">drawn://gallery</a> lists your drawings</li>
+                <li><a href="drawn://about">drawn://about</a> is this page</li>
+            </ul>
+            <p>Turn on Drawn Mode from the switch in the corner to see the whole desktop in pencil.</p>
+        `;
+        return page;
+    }
+
+    // ========================================
+    // HOME PAGE SEARCH
+    // Searches everything Spotlight does and shows it as a results page
+    // ========================================
+
+    setupHomeSearch() {
+        const home = document.getElementById('pageHome');
+        if (!home) return;
+
+        const input = home.querySelector('.search-bar');
+        const [searchButton, luckyButton] = home.querySelectorAll('.google-button');
+        const mic = home.querySelector('.mic-icon');
+        if (!input) return;
+
+        input.setAttribute('aria-label', 'Search');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.search(input.value);
+            }
+        });
+        if (searchButton) {
+            searchButton.addEventListener('click', () => this.search(input.value));
+        }
+        if (luckyButton) {
+            luckyButton.addEventListener('click', () => this.feelingLucky(input.value));
+        }
+        if (mic) {
+            this.setupDictation(input, mic);
+        }
+    }
+
+    getSearchUrl(query) {
+        return `${this.scheme}://search?q=${encodeURIComponent(query.trim())}`;
+    }
+
+    search(query) {
+        if (!query.trim()) return;
+        this.navigate(this.getSearchUrl(query));
+    }
+
+    /**
+     * Goes straight to the best match: its page if it has one, otherwise
+     * whatever it does (opening an app, running a command)
+     */
+    feelingLucky(query) {
+        if (!query.trim()) return;
+
+        const [top] = window.spotlight ? window.spotlight.searchAll(query, { fuzzy: false }) : [];
+        if (!top) {
+            this.search(query);
+        } else if (top.result.url) {
+            this.navigate(top.result.url);
+        } else {
+            top.result.action();
+        }
+    }
+
+    renderSearchPage(query) {
+        const page = document.createElement('article');
+        page.className = 'internal-page search-page';
+
+        // Search again from the results
+        const form = document.createElement('form');
+        form.className = 'search-page-form';
+        form.setAttribute('role', 'search');
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'search-page-input';
+        input.value = query;
+        input.setAttribute('aria-label', 'Search');
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.className = 'google-button';
+        submit.textContent = 'Search';
+        form.appendChild(input);
+        form.appendChild(submit);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.search(input.value);
+        });
+        page.appendChild(form);
+
+        // Web-style: every word has to be there as typed, not spread out
+        const matches = window.spotlight ? window.spotlight.searchAll(query, { fuzzy: false }) : [];
+
+        const count = document.createElement('p');
+        count.className = 'search-page-count';
+        count.textContent = matches.length === 0
+            ? `No results for “${query}”. Try a drawing's tag or date, a page or an app.`
+            : `${matches.length} result${matches.length === 1 ? '' : 's'}`;
+        page.appendChild(count);
+
+        const list = document.createElement('ol');
+        list.className = 'search-results';
+        matches.slice(0, this.maxSearchResults).forEach(({ group, result }) => {
+            list.appendChild(this.renderSearchResult(group, result, query));
+        });
+        page.appendChild(list);
+
+        return page;
+    }
+
+    /**
+     * One hit: thumbnail, where it's from, its title (a link if it has a page),
+     * and a snippet with the query's words marked
+     */
+    renderSearchResult(group, result, query) {
+        const item = document.createElement('li');
+        item.className = 'search-result';
+
+        if (result.image) {
+            const img = document.createElement('img');
+            img.className = 'search-result-thumbnail';
+            img.src = result.image;
+            img.alt = '';
+            item.appendChild(img);
+        } else {
+            const icon = document.createElement('span');
+            icon.className = 'search-result-thumbnail search-result-icon';
+            icon.textContent = result.icon || '🔍';
+            item.appendChild(icon);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'search-result-body';
+
+        const source = document.createElement('div');
+        source.className = 'search-result-source';
+        source.textContent = result.url || result.subtitle || group;
+        body.appendChild(source);
+
+        let title;
+        if (result.url) {
+            title = document.createElement('a');
+            title.href = result.url;
+        } else {
+            title = document.createElement('button');
+            title.type = 'button';
+            title.addEventListener('click', () => result.action());
+        }
+        title.className = 'search-result-title';
+        title.textContent = result.title;
+        body.appendChild(title);
+
+        const text = [result.subtitle !== source.textContent ? result.subtitle : '', result.detail].filter(Boolean).join(' · ');
+        if (text) {
+            body.appendChild(this.highlightMatches(text, query, 'search-result-snippet'));
+        }
+
+        item.appendChild(body);
+        return item;
+    }
+
+    /**
+     * A paragraph of text with each of the query's words wrapped in <mark>
+     */
+    highlightMatches(text, query, className) {
+        const paragraph = document.createElement('p');
+        paragraph.className = className;
+
+        const words = query.trim().split(/\s+/).filter(Boolean)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = words.length > 0 ? new RegExp(`(${words.join('|')})`, 'gi') : null;
+
+        (pattern ? text.split(pattern) : [text]).forEach((part, i) => {
+            if (i % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                paragraph.appendChild(mark);
+            } else if (part) {
+                paragraph.appendChild(document.createTextNode(part));
+            }
+        });
+
+        return paragraph;
+    }
+
+    /**
+     * The 🎤 dictates into the search bar where the Web Speech API is
+     * available (and is hidden where it isn't)
+     */
+    setupDictation(input, mic) {
+        const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!Recognition) {
+            mic.hidden = true;
+            return;
+        }
+
+        mic.setAttribute('role', 'button');
+        mic.setAttribute('aria-label', 'Search by Voice');
+        mic.setAttribute('aria-pressed', 'false');
+        mic.tabIndex = 0;
+
+        mic.addEventListener('click', () => this.toggleDictation(Recognition, input, mic));
+        mic.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.toggleDictation(Recognition, input, mic);
+            }
+        });
+    }
+
+    toggleDictation(Recognition, input, mic) {
+        if (this.recognition) {
+            this.recognition.stop();
+            return;
+        }
+
+        const recognition = new Recognition();
+        recognition.lang = navigator.language || 'en-US';
+        recognition.interimResults = true;
+
+        let transcript = '';
+        recognition.onresult = (e) => {
+            transcript = Array.from(e.results).map(result => result[0].transcript).join('');
+            input.value = transcript;
+        };
+        recognition.onerror = (e) => {
+            // Stopping early or saying nothing isn't worth a notification
+            if (e.error === 'aborted' || e.error === 'no-speech') return;
+
+            const blocked = e.error === 'not-allowed' || e.error === 'service-not-allowed';
+            const message = blocked
+                ? 'Allow microphone access for this page to search by voice.'
+                : `Dictation stopped (${e.error}).`;
+            if (window.notifications) {
+                window.notifications.notify({ title: 'Voice Search Unavailable', message, type: 'error' });
+            } else {
+                console.warn('Voice search:', message);
+            }
+        };
+        recognition.onend = () => {
+            this.recognition = null;
+            mic.classList.remove('listening');
+            mic.setAttribute('aria-pressed', 'false');
+            if (transcript.trim()) {
+                this.search(transcript);
+            }
+        };
+
+        this.recognition = recognition;
+        mic.classList.add('listening');
+        mic.setAttribute('aria-pressed', 'true');
+        recognition.start();
+    }
+
+    /**
+     * The hand-drawn 404 page, for addresses nothing here serves
+     */
+    renderNotFoundPage(url) {
+        const page = document.createElement('div');
+        page.className = 'not-found-page';
+        page.innerHTML = `
+            <svg class="not-found-doodle" viewBox="0 0 200 120" aria-hidden="true">
+                <path d="M20 95 C 40 60, 60 110, 85 70 S 130 40, 150 75 S 185 100, 190 60" />
+                <path d="M150 20 l 30 30 M 180 20 l -30 30" />
+                <circle cx="45" cy="35" r="14" />
+            </svg>
+            <div class="not-found-code">404</div>
+            <h1>This page hasn't been drawn yet</h1>
+            <p>Nothing lives at <code class="not-found-url"></code>.</p>
+            <div class="not-found-actions">
+                <a class="not-found-link" href="${this.homeUrl}">Go Home</a>
+                <button type="button" class="not-found-link not-found-back">Go Back</button>
+            </div>
+        `;
+
+        page.querySelector('.not-found-url').textContent = url;
+
+        const back = page.querySelector('.not-found-back');
+        back.disabled = !this.canGoBack();
+        back.addEventListener('click', () => this.goBack());
+
+        return page;
+    }
+
+    createEntry(url) {
+        return { url, scrollTop: 0, ...this.describePage(url) };
+    }
+
+    /**
+     * Loads a page into a tab (the active one by default), dropping any pages
+     * it could have gone forward to
+     */
+    navigate(address, tabId = this.activeTabId) {
+        const tab = this.getTab(tabId);
+        if (!tab) return;
+
+        const url = this.normalizeUrl(address);
+
+        // Going to the page that's already showing doesn't add to the history
+        if (this.getEntry(tab).url === url) {
+            if (tab.id === this.activeTabId) {
+                this.showActivePage();
+            }
+            return;
+        }
+
+        this.rememberScroll();
+        tab.history.splice(tab.index + 1);
+        tab.history.push(this.createEntry(url));
+        if (tab.history.length > this.maxHistory) {
+            tab.history.shift();
+        }
+        tab.index = tab.history.length - 1;
+
+        this.showTabChange(tab);
+    }
+
+    /**
+     * Moves the active tab to a page in its history
+     */
+    goToHistory(index) {
+        const tab = this.getActiveTab();
+        if (!tab || index < 0 || index >= tab.history.length || index === tab.index) return;
+
+        this.rememberScroll();
+        tab.index = index;
+        this.showTabChange(tab);
+    }
+
+    goBack() {
+        const tab = this.getActiveTab();
+        if (tab) {
+            this.goToHistory(tab.index - 1);
+        }
+    }
+
+    goForward() {
+        const tab = this.getActiveTab();
+        if (tab) {
+            this.goToHistory(tab.index + 1);
+        }
+    }
+
+    canGoBack() {
+        const tab = this.getActiveTab();
+        return !!tab && tab.index > 0;
+    }
+
+    canGoForward() {
+        const tab = this.getActiveTab();
+        return !!tab && tab.index < tab.history.length - 1;
+    }
+
+    /**
+     * Shows a tab's new page if it's the active one, and updates its tab and the session
+     */
+    showTabChange(tab) {
+        if (tab.id === this.activeTabId) {
+            this.showActivePage();
+        }
+        this.renderTabs();
+        this.saveState();
+    }
+
+    /**
+     * Handles an address typed into the URL bar
+     */
+    handleUrlChange(address) {
+        this.closeSuggestions();
+        this.urlInput.blur();
+        this.navigate(this.normalizeUrl(address));
+    }
+
+    /**
+     * Brings the browser forward showing one of its pages
+     */
+    showPage(url) {
+        this.navigate(url);
+        this.windowManager.focus(this.windowId);
+    }
+
+    /**
+     * Shows the active tab's page, scroll position and address
+     */
+    showActivePage() {
+        const tab = this.getActiveTab();
+        if (!tab) return;
+
+        const entry = this.getEntry(tab);
+        const page = this.renderPage(entry.url);
+        this.content.querySelectorAll('.webpage').forEach(p => p.classList.toggle('active', p === page));
+        this.content.scrollTop = entry.scrollTop || 0;
+
+        if (document.activeElement !== this.urlInput) {
+            this.urlInput.value = entry.url;
+        }
+        this.updateLockIcon(entry.url);
+        this.windowManager.setWindowTitle(this.windowId, entry.title);
+        this.updateNavButtons();
+    }
+
+    /**
+     * Shows what kind of address the active tab is on
+     */
+    updateLockIcon(url) {
+        if (!this.lockIcon) return;
+
+        const scheme = this.getScheme(url);
+        const { icon, label } = this.schemes[scheme] || { icon: 'ℹ️', label: 'Unknown address' };
+        this.lockIcon.textContent = icon;
+        this.lockIcon.title = label;
+        this.lockIcon.setAttribute('aria-label', label);
+        this.lockIcon.dataset.scheme = scheme;
+    }
+
+    /**
+     * Disables back and forward when the active tab can't go that way
+     */
+    updateNavButtons() {
+        if (this.backBtn) {
+            this.backBtn.disabled = !this.canGoBack();
+        }
+        if (this.forwardBtn) {
+            this.forwardBtn.disabled = !this.canGoForward();
+        }
+    }
+
+    // ========================================
+    // TABS
+    // ========================================
+
+    getTab(tabId) {
+        return this.tabs.find(tab => tab.id === tabId);
+    }
+
+    getActiveTab() {
+        return this.getTab(this.activeTabId);
+    }
+
+    /**
+     * The history entry a tab is showing
+     */
+    getEntry(tab) {
+        return tab.history[tab.index];
+    }
+
+    /**
+     * Notes how far the active tab's page is scrolled, to come back to it later
+     */
+    rememberScroll() {
+        const tab = this.getActiveTab();
+        if (tab) {
+            this.getEntry(tab).scrollTop = this.content.scrollTop;
+        }
+    }
+
+    /**
+     * Opens a tab (on the home page unless a url is given) right after the
+     * active one, and switches to it
+     */
+    openTab(address = this.homeUrl) {
+        const entry = this.createEntry(this.normalizeUrl(address));
+        const tab = { id: this.nextTabId++, history: [entry], index: 0 };
+
+        const activeIndex = this.tabs.indexOf(this.getActiveTab());
+        this.tabs.splice(activeIndex === -1 ? this.tabs.length : activeIndex + 1, 0, tab);
+        this.activateTab(tab.id);
+        return tab;
+    }
+
+    activateTab(tabId) {
+        const tab = this.getTab(tabId);
+        if (!tab) return;
+
+        // Remember where the tab we're leaving was scrolled to
+        if (tab.id !== this.activeTabId) {
+            this.rememberScroll();
+        }
+
+        this.activeTabId = tab.id;
+        this.render();
+        this.saveState();
+    }
+
+    /**
+     * Closes a tab. The tab to its right takes over (or the one to its left
+     * if it was last); closing the only tab closes the window.
+     */
+    closeTab(tabId) {
+        const index = this.tabs.findIndex(tab => tab.id === tabId);
+        if (index === -1) return;
+
+        if (tabId === this.activeTabId) {
+            this.rememberScroll();
+        }
+        const [tab] = this.tabs.splice(index, 1);
+
+        this.closedTabs.push({ tab, index });
+        if (this.closedTabs.length > this.maxClosedTabs) {
+            this.closedTabs.shift();
+        }
+
+        if (this.tabs.length === 0) {
+            // Next time the browser opens it starts over with one empty tab
+            this.activeTabId = null;
+            this.openTab();
+            this.windowManager.closeWindow(this.windowId);
+            return;
+        }
+
+        if (tab.id === this.activeTabId) {
+            const next = this.tabs[index] || this.tabs[index - 1];
+            this.activeTabId = null;
+            this.activateTab(next.id);
+        } else {
+            this.renderTabs();
+            this.saveState();
+        }
+    }
+
+    /**
+     * Brings back the most recently closed tab where it was
+     */
+    reopenClosedTab() {
+        const closed = this.closedTabs.pop();
+        if (!closed) return;
+
+        // With the window closed, the lone empty tab left behind by closing the last one makes way
+        if (!this.windowManager.isWindowOpen(this.element) && this.tabs.length === 1 && this.tabs[0].history.length === 1) {
+            this.tabs = [];
+        }
+
+        this.tabs.splice(Math.min(closed.index, this.tabs.length), 0, closed.tab);
+        this.activateTab(closed.tab.id);
+        this.windowManager.focus(this.windowId);
+    }
+
+    /**
+     * Moves a tab to a new position in the tab bar
+     */
+    moveTab(tabId, toIndex) {
+        const index = this.tabs.findIndex(tab => tab.id === tabId);
+        if (index === -1 || index === toIndex) return;
+
+        const [tab] = this.tabs.splice(index, 1);
+        this.tabs.splice(Math.max(0, Math.min(toIndex, this.tabs.length)), 0, tab);
+        this.renderTabs();
+        this.saveState();
+    }
+
+    /**
+     * Switches to the tab step places away, wrapping around
+     */
+    cycleTab(step) {
+        const count = this.tabs.length;
+        const index = this.tabs.indexOf(this.getActiveTab());
+        this.activateTab(this.tabs[(index + step + count) % count].id);
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    render() {
+        this.renderTabs();
+        this.showActivePage();
+    }
+
+    renderTabs() {
+        const hadFocus = this.tabBar.contains(document.activeElement);
+
+        this.tabBar.innerHTML = '';
+
+        this.tabs.forEach(tab => {
+            const active = tab.id === this.activeTabId;
+            const entry = this.getEntry(tab);
+
+            const item = document.createElement('div');
+            item.className = 'tab';
+            item.classList.toggle('active', active);
+            item.dataset.tabId = tab.id;
+            item.setAttribute('role', 'tab');
+            item.setAttribute('aria-selected', String(active));
+            item.tabIndex = active ? 0 : -1;
+            item.title = entry.title;
+
+            const icon = document.createElement('span');
+            icon.className = 'tab-icon';
+            icon.textContent = entry.icon;
+
+            const title = document.createElement('span');
+            title.className = 'tab-title';
+            title.textContent = entry.title;
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'tab-close';
+            close.tabIndex = -1;
+            close.setAttribute('aria-label', `Close ${entry.title}`);
+            close.textContent = '×';
+
+            item.appendChild(icon);
+            item.appendChild(title);
+            item.appendChild(close);
+            this.tabBar.appendChild(item);
+
+            if (active && hadFocus) {
+                item.focus();
+            }
+        });
+
+        const newTab = document.createElement('button');
+        newTab.type = 'button';
+        newTab.className = 'new-tab-btn';
+        newTab.setAttribute('aria-label', 'New Tab');
+        newTab.textContent = '+';
+        this.tabBar.appendChild(newTab);
+    }
+
+    // ========================================
+    // EVENTS
+    // Delegated to the tab bar, since tabs are rebuilt as they change
+    // ========================================
+
+    setupTabBar() {
+        this.tabBar.addEventListener('click', (e) => {
+            if (e.target.closest('.new-tab-btn')) {
+                this.openTab();
+                return;
+            }
+
+            const item = e.target.closest('.tab');
+            if (!item) return;
+
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+
+            const tabId = Number(item.dataset.tabId);
+            if (e.target.closest('.tab-close')) {
+                this.closeTab(tabId);
+            } else {
+                this.activateTab(tabId);
+            }
+        });
+
+        // Middle-click closes a tab
+        this.tabBar.addEventListener('auxclick', (e) => {
+            const item = e.target.closest('.tab');
+            if (item && e.button === 1) {
+                e.preventDefault();
+                this.closeTab(Number(item.dataset.tabId));
+            }
+        });
+
+        // Arrow keys move between tabs, like any tab list
+        this.tabBar.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('tab') || e.altKey || e.metaKey || e.ctrlKey) return;
+
+            const handled = {
+                ArrowLeft: () => this.cycleTab(-1),
+                ArrowRight: () => this.cycleTab(1),
+                Home: () => this.activateTab(this.tabs[0].id),
+                End: () => this.activateTab(this.tabs[this.tabs.length - 1].id),
+                Delete: () => this.closeTab(this.activeTabId)
+            }[e.key];
+
+            if (handled) {
+                e.preventDefault();
+                handled();
+            }
+        });
+
+        this.tabBar.addEventListener('pointerdown', (e) => this.startDrag(e));
+    }
+
+    setupToolbar() {
+        [[this.backBtn, -1, 'Back'], [this.forwardBtn, 1, 'Forward']].forEach(([button, direction, label]) => {
+            if (!button) return;
+
+            button.setAttribute('aria-label', label);
+            button.addEventListener('click', () => {
+                if (this.suppressNavClick) {
+                    this.suppressNavClick = false;
+                    return;
+                }
+                this.animateButton(button);
+                this.goToHistory(this.getActiveTab().index + direction);
+            });
+
+            // Holding the button down lists the pages it would go through
+            button.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0 || button.disabled) return;
+
+                this.suppressNavClick = false;
+                clearTimeout(this.longPressTimer);
+                this.longPressTimer = setTimeout(() => {
+                    this.suppressNavClick = true;
+                    this.showHistoryMenu(button, direction);
+                }, this.longPressDelay);
+            });
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                button.addEventListener(type, () => clearTimeout(this.longPressTimer));
+            });
+        });
+
+        // ...and so does right-clicking it
+        if (window.contextMenu) {
+            window.contextMenu.register('#backBtn', () => this.getHistoryItems(-1));
+            window.contextMenu.register('#forwardBtn', () => this.getHistoryItems(1));
+        }
+
+        // Alt+Left / Alt+Right go back and forward while the browser is in front
+        document.addEventListener('keydown', (e) => {
+            if (!e.altKey || e.metaKey || e.ctrlKey || e.shiftKey) return;
+            if (this.windowManager.getFocusedWindowId() !== this.windowId) return;
+            if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+
+            const handled = { ArrowLeft: () => this.goBack(), ArrowRight: () => this.goForward() }[e.key];
+            if (handled) {
+                e.preventDefault();
+                handled();
+            }
+        });
+
+        if (this.refreshBtn) {
+            this.refreshBtn.addEventListener('click', () => this.reload());
+        }
+
+    }
+
+    // ========================================
+    // ADDRESS BAR
+    // ========================================
+
+    setupAddressBar() {
+        this.suggestionList = document.createElement('ul');
+        this.suggestionList.className = 'url-suggestions';
+        this.suggestionList.id = 'urlSuggestions';
+        this.suggestionList.setAttribute('role', 'listbox');
+        this.suggestionList.setAttribute('aria-label', 'Suggestions');
+        (this.addressBar || this.urlInput.parentElement).appendChild(this.suggestionList);
+
+        this.urlInput.setAttribute('role', 'combobox');
+        this.urlInput.setAttribute('aria-autocomplete', 'list');
+        this.urlInput.setAttribute('aria-controls', this.suggestionList.id);
+        this.urlInput.setAttribute('aria-expanded', 'false');
+        this.urlInput.spellcheck = false;
+
+        this.urlInput.addEventListener('input', () => this.showSuggestions(this.urlInput.value));
+        this.urlInput.addEventListener('focus', () => this.urlInput.select());
+        this.urlInput.addEventListener('blur', () => this.closeSuggestions());
+
+        this.urlInput.addEventListener('keydown', (e) => {
+            const isOpen = this.suggestions.length > 0;
+            const handled = {
+                ArrowDown: () => this.highlightSuggestion(this.highlightedSuggestion + 1),
+                ArrowUp: () => this.highlightSuggestion(this.highlightedSuggestion - 1),
+                Enter: () => {
+                    const suggestion = this.suggestions[this.highlightedSuggestion];
+                    this.handleUrlChange(suggestion ? suggestion.url : this.urlInput.value);
+                },
+                Escape: () => {
+                    if (isOpen) {
+                        this.closeSuggestions();
+                        return;
+                    }
+                    // Put back the active tab's address
+                    this.urlInput.value = this.getEntry(this.getActiveTab()).url;
+                    this.urlInput.blur();
+                }
+            }[e.key];
+
+            if (handled && (isOpen || (e.key !== 'ArrowDown' && e.key !== 'ArrowUp'))) {
+                e.preventDefault();
+                handled();
+            }
+        });
+
+        // Keep focus in the address bar while a suggestion is clicked
+        this.suggestionList.addEventListener('pointerdown', (e) => e.preventDefault());
+        this.suggestionList.addEventListener('mousedown', (e) => e.preventDefault());
+        this.suggestionList.addEventListener('click', (e) => {
+            const option = e.target.closest('.url-suggestion');
+            if (option) {
+                this.handleUrlChange(this.suggestions[Number(option.dataset.index)].url);
+            }
+        });
+    }
+
+    /**
+     * Every address autocomplete knows: listed routes, plus whatever routes suggest
+     */
+    getKnownPages() {
+        const pages = this.getListedPages();
+        this.routes.forEach(route => {
+            if (route.suggestions) {
+                pages.push(...route.suggestions());
+            }
+        });
+        return pages;
+    }
+
+    /**
+     * The pages routes list: [{ url, title, icon, description, keywords, text }]
+     */
+    getListedPages() {
+        return this.routes
+            .filter(route => route.listed)
+            .map(route => {
+                const url = `${this.scheme}://${route.path}`;
+                return {
+                    url,
+                    ...this.describePage(url),
+                    description: route.description || '',
+                    keywords: route.keywords || [],
+                    text: route.text || ''
+                };
+            });
+    }
+
+    showSuggestions(query) {
+        const text = query.trim().toLowerCase();
+        if (!text) {
+            this.closeSuggestions();
+            return;
+        }
+
+        // Addresses that start with what was typed come first
+        const bare = (url) => url.replace(/^[a-z]+:\/\//, '');
+        const matches = this.getKnownPages().filter(page =>
+            [page.url, bare(page.url), page.title, ...(page.keywords || [])].some(field => field.toLowerCase().includes(text)));
+        const startsWith = (page) => page.url.startsWith(text) || bare(page.url).startsWith(text);
+        matches.sort((a, b) => startsWith(b) - startsWith(a));
+
+        this.suggestions = matches.slice(0, this.maxSuggestions);
+        this.highlightedSuggestion = -1;
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        this.suggestionList.innerHTML = '';
+
+        this.suggestions.forEach((page, index) => {
+            const option = document.createElement('li');
+            option.className = 'url-suggestion';
+            option.id = `urlSuggestion${index}`;
+            option.dataset.index = index;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(index === this.highlightedSuggestion));
+            option.classList.toggle('highlighted', index === this.highlightedSuggestion);
+
+            const icon = document.createElement('span');
+            icon.className = 'url-suggestion-icon';
+            icon.textContent = page.icon || '🌐';
+
+            const title = document.createElement('span');
+            title.className = 'url-suggestion-title';
+            title.textContent = page.title;
+
+            const url = document.createElement('span');
+            url.className = 'url-suggestion-url';
+            url.textContent = page.url;
+
+            option.appendChild(icon);
+            option.appendChild(title);
+            option.appendChild(url);
+            this.suggestionList.appendChild(option);
+        });
+
+        const isOpen = this.suggestions.length > 0;
+        this.suggestionList.classList.toggle('active', isOpen);
+        this.urlInput.setAttribute('aria-expanded', String(isOpen));
+        if (this.highlightedSuggestion >= 0) {
+            this.urlInput.setAttribute('aria-activedescendant', `urlSuggestion${this.highlightedSuggestion}`);
+        } else {
+            this.urlInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Moves the highlight through the suggestions, wrapping around; the address
+     * bar shows the highlighted one
+     */
+    highlightSuggestion(index) {
+        const count = this.suggestions.length;
+        if (count === 0) return;
+
+        this.highlightedSuggestion = (index + count) % count;
+        this.urlInput.value = this.suggestions[this.highlightedSuggestion].url;
+        this.renderSuggestions();
+    }
+
+    closeSuggestions() {
+        if (!this.suggestionList) return;
+
+        this.suggestions = [];
+        this.highlightedSuggestion = -1;
+        this.renderSuggestions();
+    }
+
+    /**
+     * Links in pages open in the browser: drawn:// ones here, Cmd/Ctrl-click in a
+     * new tab. Links marked target="_blank" (off to the real web) are left alone.
+     */
+    setupLinks() {
+        this.content.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (!link || !this.content.contains(link) || link.target === '_blank') return;
+
+            e.preventDefault();
+            const url = link.getAttribute('href');
+            if (e.metaKey || e.ctrlKey) {
+                this.openTab(url);
+            } else {
+                this.navigate(url);
+            }
+        });
+    }
+
+    reload() {
+        if (this.refreshBtn) {
+            this.animateButton(this.refreshBtn);
+        }
+
+        this.refreshPage();
+        const activePage = this.content.querySelector('.webpage.active');
+        if (activePage) {
+            activePage.style.opacity = '0.5';
+            setTimeout(() => {
+                activePage.style.opacity = '1';
+            }, 300);
+        }
+    }
+
+    /**
+     * Menu items for the pages behind (direction -1) or ahead of (1) the active
+     * tab's current one, nearest first
+     */
+    getHistoryItems(direction) {
+        const tab = this.getActiveTab();
+        if (!tab) return [];
+
+        const items = [];
+        for (let i = tab.index + direction; i >= 0 && i < tab.history.length; i += direction) {
+            const entry = tab.history[i];
+            items.push({ label: entry.title, icon: entry.icon, action: () => this.goToHistory(i) });
+        }
+        return items;
+    }
+
+    showHistoryMenu(button, direction) {
+        const items = this.getHistoryItems(direction);
+        if (!window.contextMenu || items.length === 0) return;
+
+        const rect = button.getBoundingClientRect();
+        window.contextMenu.open(items, rect.left, rect.bottom);
+    }
+
+    animateButton(button) {
+        button.style.transform = 'scale(0.9)';
+        setTimeout(() => {
+            button.style.transform = 'scale(1)';
+        }, 100);
+    }
+
+    setupMenus() {
+        if (!window.menuBar) return;
+
+        window.menuBar.registerApp('browser', {
+            name: 'Browser',
+            menus: () => ({
+                File: [
+                    { label: 'New Tab', shortcut: 'Mod+T', action: () => this.openTab() },
+                    {
+                        label: 'Reopen Closed Tab',
+                        shortcut: 'Mod+Shift+T',
+                        disabled: this.closedTabs.length === 0,
+                        action: () => this.reopenClosedTab()
+                    },
+                    {
+                        label: 'Open Location…',
+                        shortcut: 'Mod+L',
+                        action: () => {
+                            this.urlInput.focus();
+                            this.urlInput.select();
+                        }
+                    },
+                    { separator: true },
+                    // Comes before the menu bar's Close Window, so Cmd+W closes the tab
+                    { label: 'Close Tab', shortcut: 'Mod+W', action: () => this.closeTab(this.activeTabId) }
+                ],
+                View: [
+                    { label: 'Reload Page', action: () => this.reload() },
+                    { separator: true },
+                    { label: 'Show Previous Tab', shortcut: 'Mod+Shift+[', disabled: this.tabs.length < 2, action: () => this.cycleTab(-1) },
+                    { label: 'Show Next Tab', shortcut: 'Mod+Shift+]', disabled: this.tabs.length < 2, action: () => this.cycleTab(1) }
+                ],
+                Go: [
+                    { label: 'Back', shortcut: 'Mod+[', disabled: !this.canGoBack(), action: () => this.goBack() },
+                    { label: 'Forward', shortcut: 'Mod+]', disabled: !this.canGoForward(), action: () => this.goForward() }
+                ]
+            })
+        });
+    }
+
+    setupSpotlight() {
+        if (!window.spotlight) return;
+
+        window.spotlight.registerProvider('Web Pages', () =>
+            this.getListedPages().map(page => ({
+                title: page.title,
+                subtitle: page.url,
+                icon: page.icon,
+                keywords: [page.description, ...page.keywords],
+                detail: page.description,
+                text: page.text,
+                url: page.url,
+                action: () => this.showPage(page.url)
+            })));
+    }
+
+    // ========================================
+    // DRAG TO REORDER
+    // ========================================
+
+    startDrag(e) {
+        const item = e.target.closest('.tab');
+        if (!item || e.button !== 0 || e.target.closest('.tab-close')) return;
+
+        this.drag = {
+            tabId: Number(item.dataset.tabId),
+            startX: e.clientX,
+            moved: false
+        };
+
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerup', this.handlePointerUp);
+        document.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    handlePointerMove(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        if (!drag.moved) {
+            if (Math.abs(e.clientX - drag.startX) < this.dragThreshold) return;
+            drag.moved = true;
+        }
+
+        // The dragged tab goes before the first tab whose middle is right of the pointer
+        const others = Array.from(this.tabBar.querySelectorAll('.tab'))
+            .filter(item => Number(item.dataset.tabId) !== drag.tabId);
+        let index = others.findIndex(item => {
+            const rect = item.getBoundingClientRect();
+            return e.clientX < rect.left + rect.width / 2;
+        });
+        if (index === -1) {
+            index = others.length;
+        }
+
+        this.moveTab(drag.tabId, index);
+
+        const dragged = this.tabBar.querySelector(`.tab[data-tab-id="${drag.tabId}"]`);
+        if (dragged) {
+            dragged.classList.add('dragging');
+        }
+    }
+
+    handlePointerUp() {
+        const drag = this.drag;
+        this.drag = null;
+
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerup', this.handlePointerUp);
+        document.removeEventListener('pointercancel', this.handlePointerUp);
+
+        if (drag && drag.moved) {
+            // The pointerup is followed by a click that shouldn't switch tabs
+            this.suppressClick = true;
+            setTimeout(() => {
+                this.suppressClick = false;
+            }, 0);
+            this.renderTabs();
+        }
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    saveState() {
+        if (!window.sessionStore) return;
+
+        this.rememberScroll();
+
+        window.sessionStore.set('browser', {
+            tabs: this.tabs.map(({ history, index }) => ({ history, index })),
+            activeIndex: this.tabs.indexOf(this.getActiveTab())
+        });
+    }
+
+    restoreState() {
+        const saved = window.sessionStore ? window.sessionStore.get('browser') : null;
+        if (!saved || !Array.isArray(saved.tabs)) return;
+
+        // Pages may have changed since, so titles and icons are looked up again
+        const restoreEntry = (entry) => ({
+            ...this.createEntry(this.normalizeUrl(entry.url)),
+            scrollTop: entry.scrollTop || 0
+        });
+
+        this.tabs = saved.tabs
+            .filter(tab => tab && Array.isArray(tab.history))
+            .map(tab => {
+                const history = tab.history.filter(entry => entry && typeof entry.url === 'string').map(restoreEntry);
+                return {
+                    id: this.nextTabId++,
+                    history,
+                    index: Math.max(0, Math.min(tab.index || 0, history.length - 1))
+                };
+            })
+            .filter(tab => tab.history.length > 0);
+
+        const active = this.tabs[saved.activeIndex] || this.tabs[0];
+        this.activeTabId = active ? active.id : null;
+    }
+}
+
+// Create global instance
+window.browser = new Browser(window.windowManager);
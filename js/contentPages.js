@@ -0,0 +1,470 @@
+// ========================================
+// CONTENT PAGES
+// Browser pages written as Markdown or JSON files in content/, listed in
+// content/index.json, so publishing a page doesn't mean editing index.html or JS
+// Dependencies: browser.js (the pages become drawn:// routes)
+// ========================================
+
+class ContentPages {
+    constructor(browser) {
+        this.browser = browser;
+        this.baseUrl = 'content/';
+        this.manifestFile = 'index.json';
+
+        // Loaded pages in manifest order, by file:
+        // { file, route, title, icon, description, keywords, image, markdown, cards, text }
+        this.pages = new Map();
+
+        // Schemes links and images may use; anything else is dropped
+        this.linkSchemes = ['drawn', 'http', 'https', 'mailto'];
+        this.imageSchemes = ['http', 'https', 'data'];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.browser) return;
+
+        this.load();
+    }
+
+    // ========================================
+    // LOADING
+    // ========================================
+
+    async load() {
+        let files;
+        try {
+            const manifest = JSON.parse(await this.fetchFile(this.manifestFile));
+            files = Array.isArray(manifest.pages) ? manifest.pages : [];
+        } catch (e) {
+            // Opened from disk (file://) or no content/ folder: the built-in pages still work
+            console.warn('Could not load content pages:', e);
+            return;
+        }
+
+        const pages = await Promise.all(files.map(file =>
+            this.fetchFile(file)
+                .then(text => this.parsePage(file, text))
+                .catch(e => {
+                    console.warn(`Could not load content/${file}:`, e);
+                    return null;
+                })));
+
+        // Every page is in before any is registered, so links between them resolve
+        pages.filter(Boolean).forEach(page => this.pages.set(page.file, page));
+        this.pages.forEach(page => this.register(page));
+
+        console.log('✓ Content pages loaded:', this.pages.size);
+    }
+
+    async fetchFile(file) {
+        const response = await fetch(this.baseUrl + file);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Reads a .md file (front-matter, then Markdown) or a .json file
+     * ({ title, icon, route, description, keywords, image, body, cards })
+     */
+    parsePage(file, text) {
+        const isJson = /\.json$/i.test(file);
+        const { fields, body } = isJson ? this.parseJson(text) : this.parseFrontMatter(text);
+
+        const route = String(fields.route || file.replace(/\.(md|markdown|json)$/i, ''))
+            .replace(/^drawn:\/\//i, '')
+            .replace(/^\/+|\/+$/g, '');
+        const keywords = Array.isArray(fields.keywords)
+            ? fields.keywords
+            : String(fields.keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+        const cards = Array.isArray(fields.cards) ? fields.cards : [];
+
+        return {
+            file,
+            route,
+            title: fields.title || route,
+            icon: fields.icon || '📄',
+            description: fields.description || '',
+            keywords,
+            image: fields.image ? this.resolveAsset(file, fields.image) : null,
+            markdown: body,
+            cards,
+            // What the home page search looks through besides the title and description
+            text: [body, ...cards.map(card => `${card.title || ''} ${card.text || ''}`)]
+                .join(' ')
+                .replace(/[#>*_`[\]()!|-]+/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .slice(0, 500)
+        };
+    }
+
+    parseJson(text) {
+        const data = JSON.parse(text);
+        return { fields: data, body: data.body || '' };
+    }
+
+    /**
+     * Splits '---\nkey: value\n---\nbody' into its fields and body
+     */
+    parseFrontMatter(text) {
+        const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(text);
+        if (!match) {
+            return { fields: {}, body: text };
+        }
+
+        const fields = {};
+        match[1].split(/\r?\n/).forEach(line => {
+            const field = /^\s*([\w-]+)\s*:\s*(.*)$/.exec(line);
+            if (field) {
+                fields[field[1]] = field[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+            }
+        });
+
+        return { fields, body: text.slice(match[0].length) };
+    }
+
+    register(page) {
+        this.browser.registerRoute(page.route, {
+            title: page.title,
+            icon: page.icon,
+            description: page.description,
+            keywords: page.keywords,
+            text: page.text,
+            listed: true,
+            render: () => this.renderPage(page)
+        });
+    }
+
+    // ========================================
+    // LINKS & IMAGES
+    // Paths are relative to the file they're written in, like on any website
+    // ========================================
+
+    getScheme(href) {
+        const match = /^([a-z][a-z0-9+.-]*):/i.exec(href);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * A path relative to a content file, as a path from the site root
+     */
+    resolvePath(file, href) {
+        const url = new URL(href, `http://content.invalid/${this.baseUrl}${file}`);
+        return decodeURIComponent(url.pathname.slice(1));
+    }
+
+    resolveAsset(file, src) {
+        const scheme = this.getScheme(src);
+        if (scheme) {
+            return this.imageSchemes.includes(scheme) ? src : null;
+        }
+        return this.resolvePath(file, src);
+    }
+
+    /**
+     * Where a link goes: another content file's drawn:// page, a drawn:// path,
+     * or the web. null for links that can't be followed here.
+     */
+    resolveLink(file, href) {
+        const scheme = this.getScheme(href);
+        if (scheme) {
+            return this.linkSchemes.includes(scheme) ? href : null;
+        }
+        if (href.startsWith('#')) return null;
+
+        const path = this.resolvePath(file, href);
+        if (!path.startsWith(this.baseUrl)) {
+            // Outside content/ (an image or download next to index.html),
+            // opened in a real tab since isExternal() treats it as external
+            return path;
+        }
+
+        const target = path.slice(this.baseUrl.length);
+        const page = this.pages.get(target);
+        if (page) {
+            return `drawn://${page.route}`;
+        }
+        return `drawn://${target.replace(/\.(md|markdown|json)$/i, '').replace(/\/+$/, '')}`;
+    }
+
+    // ========================================
+    // RENDERING
+    // Laid out with the wf- wireframe sections
+    // ========================================
+
+    renderPage(page) {
+        const root = document.createElement('div');
+        root.className = 'wf-page';
+
+        const hero = document.createElement('section');
+        hero.className = 'wf-hero';
+        const heroContent = document.createElement('div');
+        heroContent.className = 'wf-hero-content';
+        const title = document.createElement('h1');
+        title.textContent = page.title;
+        heroContent.appendChild(title);
+        if (page.description) {
+            const lead = document.createElement('p');
+            lead.className = 'wf-lead';
+            lead.textContent = page.description;
+            heroContent.appendChild(lead);
+        }
+        hero.appendChild(heroContent);
+        if (page.image) {
+            const image = document.createElement('img');
+            image.className = 'wf-hero-image';
+            image.src = page.image;
+            image.alt = '';
+            hero.appendChild(image);
+        }
+        root.appendChild(hero);
+
+        if (page.markdown.trim()) {
+            const section = document.createElement('section');
+            section.className = 'wf-content-section';
+
+            const main = document.createElement('div');
+            main.className = 'wf-main-content wf-prose';
+            main.innerHTML = this.renderMarkdown(page.markdown, page.file);
+            section.appendChild(main);
+
+            const sidebar = this.renderSidebar(page);
+            if (sidebar) {
+                section.appendChild(sidebar);
+            }
+            root.appendChild(section);
+        }
+
+        if (page.cards.length > 0) {
+            root.appendChild(this.renderCards(page));
+        }
+
+        return root;
+    }
+
+    /**
+     * The other content pages, to get around between them
+     */
+    renderSidebar(page) {
+        const others = Array.from(this.pages.values()).filter(other => other !== page);
+        if (others.length === 0) return null;
+
+        const sidebar = document.createElement('aside');
+        sidebar.className = 'wf-sidebar';
+        const widget = document.createElement('div');
+        widget.className = 'wf-sidebar-widget';
+        const heading = document.createElement('h3');
+        heading.textContent = 'More Pages';
+        const list = document.createElement('ul');
+
+        others.forEach(other => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `drawn://${other.route}`;
+            link.textContent = `${other.icon} ${other.title}`;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        widget.appendChild(heading);
+        widget.appendChild(list);
+        sidebar.appendChild(widget);
+        return sidebar;
+    }
+
+    /**
+     * A JSON page's cards: { title, text, image, link }
+     */
+    renderCards(page) {
+        const section = document.createElement('section');
+        section.className = 'wf-features';
+        const grid = document.createElement('div');
+        grid.className = 'wf-feature-grid';
+
+        page.cards.forEach(card => {
+            const href = card.link ? this.resolveLink(page.file, card.link) : null;
+            const element = document.createElement(href ? 'a' : 'div');
+            element.className = 'wf-card';
+            if (href) {
+                element.href = href;
+                if (this.isExternal(href)) {
+                    element.target = '_blank';
+                    element.rel = 'noopener';
+                }
+            }
+
+            const image = card.image ? this.resolveAsset(page.file, card.image) : null;
+            if (image) {
+                const img = document.createElement('img');
+                img.className = 'wf-card-image';
+                img.src = image;
+                img.alt = '';
+                element.appendChild(img);
+            } else {
+                // No picture yet: the wireframe's placeholder
+                const placeholder = document.createElement('div');
+                placeholder.className = 'wf-card-icon';
+                element.appendChild(placeholder);
+            }
+
+            const title = document.createElement('h3');
+            title.textContent = card.title || '';
+            element.appendChild(title);
+            if (card.text) {
+                const text = document.createElement('p');
+                text.textContent = card.text;
+                element.appendChild(text);
+            }
+
+            grid.appendChild(element);
+        });
+
+        section.appendChild(grid);
+        return section;
+    }
+
+    /**
+     * Links the real browser should open: the web, mail, and files next to
+     * index.html. Only drawn:// links stay inside the Browser window.
+     */
+    isExternal(href) {
+        return this.getScheme(href) !== 'drawn';
+    }
+
+    // ========================================
+    // MARKDOWN
+    // Headings, paragraphs, lists, quotes, code, rules, links, images and emphasis
+    // ========================================
+
+    renderMarkdown(markdown, file) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        const isListItem = (line) => /^\s*([-*+]|\d+[.)])\s+/.test(line);
+        const startsBlock = (line) => /^(#{1,6}\s|```|>|(-{3,}|\*{3,}|_{3,})\s*$)/.test(line) || isListItem(line);
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            if (line.startsWith('```')) {
+                const code = [];
+                for (i++; i < lines.length && !lines[i].startsWith('```'); i++) {
+                    code.push(lines[i]);
+                }
+                i++;
+                html.push(`<pre><code>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2], file)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (line.startsWith('>')) {
+                const quote = [];
+                for (; i < lines.length && lines[i].startsWith('>'); i++) {
+                    quote.push(lines[i].replace(/^>\s?/, ''));
+                }
+                html.push(`<blockquote>${this.renderMarkdown(quote.join('\n'), file)}</blockquote>`);
+                continue;
+            }
+
+            if (isListItem(line)) {
+                const ordered = /^\s*\d/.test(line);
+                const items = [];
+                for (; i < lines.length && lines[i].trim(); i++) {
+                    if (isListItem(lines[i])) {
+                        items.push(lines[i].replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+                    } else {
+                        // A wrapped line carries on the item above
+                        items[items.length - 1] += ` ${lines[i].trim()}`;
+                    }
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                html.push(`<${tag}>${items.map(item => `<li>${this.renderInline(item, file)}</li>`).join('')}</${tag}>`);
+                continue;
+            }
+
+            const paragraph = [];
+            for (; i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i])); i++) {
+                paragraph.push(lines[i].trim());
+            }
+            html.push(`<p>${this.renderInline(paragraph.join(' '), file)}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    renderInline(text, file) {
+        const pattern = /`([^`]+)`|!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+        let html = '';
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(text))) {
+            html += this.renderEmphasis(this.escape(text.slice(last, match.index)));
+            last = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                html += `<code>${this.escape(match[1])}</code>`;
+            } else if (match[3] !== undefined) {
+                const src = this.resolveAsset(file, match[3]);
+                html += src ? `<img src="${this.escape(src)}" alt="${this.escape(match[2])}">` : this.escape(match[2]);
+            } else {
+                html += this.renderLink(match[4], match[5], file);
+            }
+        }
+
+        return html + this.renderEmphasis(this.escape(text.slice(last)));
+    }
+
+    renderLink(label, href, file) {
+        const text = this.renderEmphasis(this.escape(label));
+        const url = this.resolveLink(file, href);
+        if (!url) return text;
+
+        const external = this.isExternal(url) ? ' target="_blank" rel="noopener"' : '';
+        return `<a href="${this.escape(url)}"${external}>${text}</a>`;
+    }
+
+    /**
+     * **bold**, __bold__, *italic* and _italic_ (not inside snake_case words)
+     */
+    renderEmphasis(html) {
+        return html
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Create global instance
+window.contentPages = new ContentPages(window.browser);
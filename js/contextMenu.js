@@ -0,0 +1,355 @@
+// ========================================
+// CONTEXT MENU
+// Right-click menus that any part of the desktop can register
+// Dependencies: menuBar.js (optional, for shortcut glyphs)
+// ========================================
+
+class ContextMenu {
+    constructor() {
+        // { target: selector or element, build(element, event) }
+        this.registrations = [];
+
+        // Open menu levels, root first: { element, items, highlightedIndex }
+        this.levels = [];
+        this.returnFocusTo = null;
+
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('contextmenu', (e) => this.handleContextMenu(e));
+
+        // Capture phase so shortcuts elsewhere don't act on keys meant for the menu
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen()) {
+                this.handleMenuKey(e);
+            }
+        }, true);
+
+        document.addEventListener('pointerdown', (e) => {
+            if (this.isOpen() && !e.target.closest('.context-menu')) {
+                this.close({ restoreFocus: false });
+            }
+        }, true);
+        window.addEventListener('blur', () => this.close({ restoreFocus: false }));
+        window.addEventListener('resize', () => this.close({ restoreFocus: false }));
+
+        console.log('✓ Context menus initialized');
+    }
+
+    // ========================================
+    // REGISTRATION
+    // ========================================
+
+    /**
+     * Registers the menu shown when something matching target is right-clicked.
+     * target is a CSS selector (matched when the menu opens, so it covers
+     * elements added later) or an element. build(element, event) returns the
+     * items, or nothing to leave it to an enclosing element's menu. Items:
+     * { label, icon, shortcut, action, disabled, checked, submenu: [...] } or
+     * { separator: true }. shortcut is display-only; the menu bar handles the keys.
+     * Returns a function that removes the registration.
+     */
+    register(target, build) {
+        const registration = { target, build };
+        this.registrations.push(registration);
+
+        return () => {
+            this.registrations = this.registrations.filter(r => r !== registration);
+        };
+    }
+
+    /**
+     * Finds the menu for the innermost registered element around a target
+     */
+    findMenu(target, e) {
+        for (let element = target; element && element !== document; element = element.parentElement) {
+            // Later registrations win over earlier ones for the same element
+            for (let i = this.registrations.length - 1; i >= 0; i--) {
+                const { target: registered, build } = this.registrations[i];
+                const matches = typeof registered === 'string' ? element.matches(registered) : element === registered;
+                if (!matches) continue;
+
+                const items = build(element, e);
+                if (items && items.length > 0) {
+                    return { element, items };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    handleContextMenu(e) {
+        // Drawing mode cancels right-clicks before they get here
+        if (e.defaultPrevented) return;
+
+        const menu = this.findMenu(e.target, e);
+        if (!menu) {
+            // Text fields keep the browser's own menu (spelling, paste); nothing else gets one
+            if (!e.target.closest('input, textarea, [contenteditable="true"]')) {
+                e.preventDefault();
+            }
+            return;
+        }
+
+        e.preventDefault();
+
+        // The context menu key and Shift+F10 fire without a pointer position
+        const fromKeyboard = e.clientX === 0 && e.clientY === 0;
+        if (fromKeyboard) {
+            const rect = menu.element.getBoundingClientRect();
+            this.open(menu.items, rect.left, rect.bottom);
+            this.moveHighlight(1);
+        } else {
+            this.open(menu.items, e.clientX, e.clientY);
+        }
+    }
+
+    // ========================================
+    // OPENING & CLOSING
+    // ========================================
+
+    isOpen() {
+        return this.levels.length > 0;
+    }
+
+    /**
+     * Opens a menu at a point on screen, replacing any open one
+     */
+    open(items, x, y) {
+        const opener = document.activeElement;
+        this.close({ restoreFocus: false });
+
+        this.returnFocusTo = opener;
+        const element = this.openLevel(items);
+        this.placeMenu(element, x, y, x);
+        element.focus({ preventScroll: true });
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.closeLevelsAfter(-1);
+
+        const target = this.returnFocusTo;
+        this.returnFocusTo = null;
+        if (restoreFocus && target && target.isConnected && target.focus) {
+            target.focus({ preventScroll: true });
+        }
+    }
+
+    openLevel(items) {
+        const element = document.createElement('div');
+        element.className = 'context-menu active';
+        element.setAttribute('role', 'menu');
+        element.tabIndex = -1;
+
+        const level = { element, items, highlightedIndex: -1 };
+        this.levels.push(level);
+        this.render(level);
+
+        document.body.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Removes every level deeper than the given one (-1 removes them all)
+     */
+    closeLevelsAfter(depth) {
+        while (this.levels.length > depth + 1) {
+            this.levels.pop().element.remove();
+        }
+    }
+
+    /**
+     * Keeps a menu on screen: past the right edge it opens towards alternateX
+     * instead (the cursor, or the left side of a submenu's parent), and past
+     * the bottom it moves up
+     */
+    placeMenu(element, x, y, alternateX) {
+        const margin = 4;
+        const width = element.offsetWidth;
+        const height = element.offsetHeight;
+
+        let left = x;
+        if (left + width > window.innerWidth - margin) {
+            left = alternateX - width;
+        }
+        let top = y;
+        if (top + height > window.innerHeight - margin) {
+            top = window.innerHeight - margin - height;
+        }
+
+        element.style.left = Math.max(margin, left) + 'px';
+        element.style.top = Math.max(margin, top) + 'px';
+    }
+
+    openSubmenu(depth, index) {
+        const level = this.levels[depth];
+        const item = level.items[index];
+        if (!item || !item.submenu || item.disabled) return;
+
+        this.closeLevelsAfter(depth);
+
+        const row = level.element.children[index];
+        const rect = row.getBoundingClientRect();
+        const element = this.openLevel(item.submenu);
+        this.placeMenu(element, rect.right, rect.top - 4, rect.left);
+        row.setAttribute('aria-expanded', 'true');
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    render(level) {
+        const depth = this.levels.indexOf(level);
+
+        level.items.forEach((item, index) => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+                separator.className = 'context-separator';
+                separator.setAttribute('role', 'separator');
+                level.element.appendChild(separator);
+                return;
+            }
+
+            const row = document.createElement('div');
+            row.className = 'context-item';
+            row.setAttribute('role', item.checked !== undefined ? 'menuitemcheckbox' : 'menuitem');
+            if (item.checked !== undefined) {
+                row.setAttribute('aria-checked', String(!!item.checked));
+            }
+            if (item.disabled) {
+                row.classList.add('disabled');
+                row.setAttribute('aria-disabled', 'true');
+            }
+            if (item.submenu) {
+                row.setAttribute('aria-haspopup', 'menu');
+                row.setAttribute('aria-expanded', 'false');
+            }
+
+            // A checkmark takes the icon's place
+            const icon = document.createElement('span');
+            icon.className = 'context-icon';
+            icon.textContent = item.checked ? '✓' : (item.icon || '');
+
+            const label = document.createElement('span');
+            label.className = 'context-label';
+            label.textContent = item.label;
+
+            const shortcut = document.createElement('span');
+            shortcut.className = 'context-shortcut';
+            if (item.submenu) {
+                shortcut.textContent = '▸';
+            } else if (item.shortcut && window.menuBar) {
+                shortcut.textContent = window.menuBar.formatShortcut(item.shortcut);
+            }
+
+            row.appendChild(icon);
+            row.appendChild(label);
+            row.appendChild(shortcut);
+
+            row.addEventListener('mouseenter', () => {
+                this.highlight(depth, index);
+                if (item.submenu) {
+                    this.openSubmenu(depth, index);
+                } else {
+                    this.closeLevelsAfter(depth);
+                }
+            });
+            row.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.activate(depth, index);
+            });
+
+            level.element.appendChild(row);
+        });
+    }
+
+    highlight(depth, index) {
+        const level = this.levels[depth];
+        level.highlightedIndex = index;
+
+        // Separators are rendered too, so children line up with level.items
+        Array.from(level.element.children).forEach((child, childIndex) => {
+            child.classList.toggle('highlighted', childIndex === index);
+        });
+    }
+
+    activate(depth, index) {
+        const item = this.levels[depth].items[index];
+        if (!item || item.separator || item.disabled) return;
+
+        if (item.submenu) {
+            this.openSubmenu(depth, index);
+            this.moveHighlight(1);
+            return;
+        }
+
+        this.close();
+        if (item.action) {
+            item.action();
+        }
+    }
+
+    // ========================================
+    // KEYBOARD
+    // ========================================
+
+    handleMenuKey(e) {
+        const depth = this.levels.length - 1;
+        const level = this.levels[depth];
+        const parent = this.levels[depth - 1];
+
+        const handled = {
+            ArrowDown: () => this.moveHighlight(1),
+            ArrowUp: () => this.moveHighlight(-1),
+            ArrowRight: () => {
+                const item = level.items[level.highlightedIndex];
+                if (item && item.submenu) {
+                    this.activate(depth, level.highlightedIndex);
+                }
+            },
+            ArrowLeft: () => {
+                if (parent) {
+                    this.closeLevelsAfter(depth - 1);
+                    parent.element.children[parent.highlightedIndex].setAttribute('aria-expanded', 'false');
+                }
+            },
+            Enter: () => this.activate(depth, level.highlightedIndex),
+            ' ': () => this.activate(depth, level.highlightedIndex),
+            Escape: () => this.close(),
+            Tab: () => this.close()
+        }[e.key];
+
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+            handled();
+        }
+    }
+
+    /**
+     * Moves the highlight in the innermost menu to the next enabled item, wrapping around
+     */
+    moveHighlight(step) {
+        const depth = this.levels.length - 1;
+        const level = this.levels[depth];
+        const count = level.items.length;
+
+        let index = level.highlightedIndex;
+        for (let i = 0; i < count; i++) {
+            index = (index + step + count) % count;
+            const item = level.items[index];
+            if (!item.separator && !item.disabled) {
+                this.highlight(depth, index);
+                return;
+            }
+        }
+    }
+}
+
+// Create global instance
+window.contextMenu = new ContextMenu();
@@ -0,0 +1,619 @@
+// ========================================
+// DESKTOP ICONS
+// Dragging, marquee selection and arranging of desktop icons
+// Dependencies: sessionStore.js (optional, for saving the arrangement),
+//               contextMenu.js (optional, for the desktop's right-click menu),
+//               trash.js (optional, icons dragged onto the Trash go there)
+// ========================================
+
+class DesktopIcons {
+    constructor() {
+        this.desktop = document.querySelector('.desktop-background');
+
+        // Grid the icons line up on (matches their starting positions in index.html)
+        this.grid = { left: 30, top: 80, width: 96, height: 100 };
+        this.snapToGrid = false;
+
+        // Ids of icons sitting in the Trash (hidden until put back)
+        this.trashed = new Set();
+
+        // Icon drag state
+        this.drag = null;
+        this.dragThreshold = 3;
+
+        // Rubber-band selection state
+        this.marquee = null;
+        this.suppressClick = false;
+
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if (!this.desktop) return;
+
+        this.restoreArrangement();
+
+        // Trashed icons too, so they work once they're put back
+        this.desktop.querySelectorAll('.desktop-icon').forEach(icon => {
+            icon.addEventListener('pointerdown', (e) => this.startIconDrag(icon, e));
+            icon.addEventListener('keydown', (e) => this.handleIconKey(icon, e));
+
+            // Right-clicking an icon outside the selection selects just that icon
+            icon.addEventListener('contextmenu', () => {
+                if (!icon.classList.contains('selected')) {
+                    this.clearSelection();
+                    this.select(icon);
+                }
+            });
+
+            // Double click handled by apps.js
+            // (Camera, Notepad, Gallery icons)
+        });
+
+        this.desktop.addEventListener('pointerdown', (e) => {
+            if (e.button === 0 && this.isEmptyDesktop(e.target)) {
+                this.startMarquee(e);
+            }
+        });
+
+        // Deselect icons when clicking the desktop (but not at the end of a marquee)
+        this.desktop.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            if (!e.target.closest('.desktop-icon')) {
+                this.clearSelection();
+            }
+        });
+
+        this.setupContextMenu();
+        this.setupTrash();
+
+        console.log('✓ Desktop icons initialized');
+    }
+
+    getIcons() {
+        return Array.from(this.desktop.querySelectorAll('.desktop-icon:not([hidden])'));
+    }
+
+    getSelectedIcons() {
+        return this.getIcons().filter(icon => icon.classList.contains('selected'));
+    }
+
+    /**
+     * Checks whether a target is bare desktop rather than an icon, window or menu
+     */
+    isEmptyDesktop(target) {
+        return this.desktop.contains(target) &&
+            !target.closest('.desktop-icon, .app-window, .browser-window, .menu-bar, .minimized-shelf, #drawnComputerWindow');
+    }
+
+    // ========================================
+    // SELECTION
+    // ========================================
+
+    select(icon) {
+        icon.classList.add('selected');
+    }
+
+    deselect(icon) {
+        icon.classList.remove('selected');
+    }
+
+    clearSelection() {
+        this.getIcons().forEach(icon => this.deselect(icon));
+    }
+
+    // ========================================
+    // KEYBOARD
+    // ========================================
+
+    /**
+     * Arrow keys move between icons (Shift extends the selection),
+     * Enter opens, Space toggles the selection
+     */
+    handleIconKey(icon, e) {
+        const directions = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            // Apps open on double click (apps.js)
+            icon.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+        } else if ((e.key === 'Backspace' || e.key === 'Delete') && (e.metaKey || e.ctrlKey)) {
+            // Cmd+Delete moves the selection to the Trash, like Finder
+            e.preventDefault();
+            const icons = this.getSelectedIcons();
+            this.moveToTrash(icons.length > 0 ? icons : [icon]);
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            icon.classList.toggle('selected');
+        } else if (directions[e.key] && !e.metaKey && !e.ctrlKey && !e.altKey) {
+            e.preventDefault();
+            const next = this.findIconInDirection(icon, ...directions[e.key]);
+            if (!next) return;
+
+            if (!e.shiftKey) {
+                this.clearSelection();
+            }
+            this.select(next);
+            next.focus();
+        }
+    }
+
+    /**
+     * Finds the closest icon in a direction, favouring ones in line with this icon
+     */
+    findIconInDirection(icon, dx, dy) {
+        const position = (el) => ({ x: parseFloat(el.style.left) || 0, y: parseFloat(el.style.top) || 0 });
+        const from = position(icon);
+
+        let best = null;
+        let bestScore = Infinity;
+
+        this.getIcons().forEach(candidate => {
+            if (candidate === icon) return;
+
+            const to = position(candidate);
+            const along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+            const across = Math.abs((to.x - from.x) * dy) + Math.abs((to.y - from.y) * dx);
+            if (along <= 0) return;
+
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        });
+
+        return best;
+    }
+
+    // ========================================
+    // DRAGGING ICONS
+    // ========================================
+
+    startIconDrag(icon, e) {
+        if (e.button !== 0) return;
+
+        // Keep the desktop from starting a marquee underneath
+        e.stopPropagation();
+
+        const additive = e.shiftKey || e.metaKey || e.ctrlKey;
+        const wasSelected = icon.classList.contains('selected');
+
+        if (!wasSelected) {
+            if (!additive) {
+                this.clearSelection();
+            }
+            this.select(icon);
+        }
+
+        // Every selected icon moves with the one being dragged
+        this.drag = {
+            icon,
+            additive,
+            wasSelected,
+            moved: false,
+            startX: e.clientX,
+            startY: e.clientY,
+            icons: this.getSelectedIcons().map(el => ({
+                el,
+                left: parseFloat(el.style.left) || 0,
+                top: parseFloat(el.style.top) || 0
+            }))
+        };
+
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerup', this.handlePointerUp);
+    }
+
+    moveIconDrag(e) {
+        if (window.trash && this.drag.moved) {
+            window.trash.setDropHighlight(window.trash.isOverTrash(e.clientX, e.clientY));
+        }
+
+        const drag = this.drag;
+        const deltaX = e.clientX - drag.startX;
+        const deltaY = e.clientY - drag.startY;
+
+        if (!drag.moved) {
+            if (Math.hypot(deltaX, deltaY) < this.dragThreshold) return;
+            drag.moved = true;
+            drag.icons.forEach(({ el }) => el.classList.add('dragging'));
+        }
+
+        const bounds = this.getDesktopBounds();
+        drag.icons.forEach(({ el, left, top }) => {
+            el.style.left = Math.max(0, Math.min(left + deltaX, bounds.width - el.offsetWidth)) + 'px';
+            el.style.top = Math.max(bounds.top, Math.min(top + deltaY, bounds.height - el.offsetHeight)) + 'px';
+        });
+    }
+
+    stopIconDrag(e) {
+        const drag = this.drag;
+        this.drag = null;
+
+        if (drag.moved) {
+            drag.icons.forEach(({ el }) => el.classList.remove('dragging'));
+
+            // Dropped on the Trash: back to where they started, then into the Trash
+            if (window.trash && window.trash.isOverTrash(e.clientX, e.clientY)) {
+                window.trash.setDropHighlight(false);
+                drag.icons.forEach(({ el, left, top }) => {
+                    el.style.left = left + 'px';
+                    el.style.top = top + 'px';
+                });
+                this.moveToTrash(drag.icons.map(({ el }) => el));
+                return;
+            }
+
+            if (this.snapToGrid) {
+                this.snapIcons(drag.icons.map(({ el }) => el));
+            }
+            this.saveArrangement();
+            return;
+        }
+
+        // A click rather than a drag: Shift/Cmd toggles, a plain click selects just this icon
+        if (drag.additive) {
+            if (drag.wasSelected) {
+                this.deselect(drag.icon);
+            }
+        } else {
+            this.clearSelection();
+            this.select(drag.icon);
+        }
+
+        if (window.desktopManager) {
+            window.desktopManager.showClickFeedback(drag.icon);
+        }
+    }
+
+    handlePointerMove(e) {
+        if (this.drag) {
+            this.moveIconDrag(e);
+        } else if (this.marquee) {
+            this.updateMarquee(e);
+        }
+    }
+
+    handlePointerUp(e) {
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerup', this.handlePointerUp);
+
+        if (this.drag) {
+            this.stopIconDrag(e);
+        } else if (this.marquee) {
+            this.stopMarquee();
+        }
+    }
+
+    /**
+     * Returns the area icons can be placed in, below the menu bar
+     */
+    getDesktopBounds() {
+        const menuBar = document.querySelector('.menu-bar');
+        return {
+            top: menuBar ? menuBar.offsetHeight : 0,
+            width: this.desktop.clientWidth || window.innerWidth,
+            height: this.desktop.clientHeight || window.innerHeight
+        };
+    }
+
+    // ========================================
+    // MARQUEE SELECTION
+    // ========================================
+
+    startMarquee(e) {
+        const additive = e.shiftKey || e.metaKey || e.ctrlKey;
+
+        this.marquee = {
+            startX: e.clientX,
+            startY: e.clientY,
+            moved: false,
+            element: null,
+            // Shift/Cmd adds to the icons that were already selected
+            initial: additive ? this.getSelectedIcons() : []
+        };
+
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerup', this.handlePointerUp);
+    }
+
+    updateMarquee(e) {
+        const marquee = this.marquee;
+
+        if (!marquee.moved) {
+            if (Math.hypot(e.clientX - marquee.startX, e.clientY - marquee.startY) < this.dragThreshold) return;
+            marquee.moved = true;
+            marquee.element = document.createElement('div');
+            marquee.element.className = 'selection-marquee';
+            this.desktop.appendChild(marquee.element);
+        }
+
+        const desktopRect = this.desktop.getBoundingClientRect();
+        const left = Math.min(marquee.startX, e.clientX);
+        const top = Math.min(marquee.startY, e.clientY);
+        const right = Math.max(marquee.startX, e.clientX);
+        const bottom = Math.max(marquee.startY, e.clientY);
+
+        marquee.element.style.left = (left - desktopRect.left) + 'px';
+        marquee.element.style.top = (top - desktopRect.top) + 'px';
+        marquee.element.style.width = (right - left) + 'px';
+        marquee.element.style.height = (bottom - top) + 'px';
+
+        this.getIcons().forEach(icon => {
+            const rect = icon.getBoundingClientRect();
+            const hit = rect.left < right && rect.right > left && rect.top < bottom && rect.bottom > top;
+            icon.classList.toggle('selected', hit || marquee.initial.includes(icon));
+        });
+    }
+
+    stopMarquee() {
+        const marquee = this.marquee;
+        this.marquee = null;
+
+        if (marquee.element) {
+            marquee.element.remove();
+        }
+
+        // The click that ends a marquee shouldn't clear what it selected
+        this.suppressClick = marquee.moved;
+    }
+
+    // ========================================
+    // GRID & ARRANGING
+    // ========================================
+
+    getCell(icon) {
+        return {
+            column: Math.max(0, Math.round((parseFloat(icon.style.left) - this.grid.left) / this.grid.width)),
+            row: Math.max(0, Math.round((parseFloat(icon.style.top) - this.grid.top) / this.grid.height))
+        };
+    }
+
+    placeInCell(icon, column, row) {
+        icon.style.left = (this.grid.left + column * this.grid.width) + 'px';
+        icon.style.top = (this.grid.top + row * this.grid.height) + 'px';
+    }
+
+    getRowsPerColumn() {
+        const height = this.getDesktopBounds().height;
+        return Math.max(1, Math.floor((height - this.grid.top) / this.grid.height));
+    }
+
+    /**
+     * Finds the free cell nearest to the one asked for
+     */
+    findFreeCell(column, row, occupied) {
+        const rows = this.getRowsPerColumn();
+        row = Math.min(row, rows - 1);
+
+        for (let distance = 0; distance < 100; distance++) {
+            for (let dc = -distance; dc <= distance; dc++) {
+                for (let dr = -distance; dr <= distance; dr++) {
+                    if (Math.max(Math.abs(dc), Math.abs(dr)) !== distance) continue;
+
+                    const c = column + dc;
+                    const r = row + dr;
+                    if (c < 0 || r < 0 || r >= rows) continue;
+                    if (!occupied.has(`${c},${r}`)) return { column: c, row: r };
+                }
+            }
+        }
+
+        return { column, row };
+    }
+
+    /**
+     * Snaps icons to the grid, keeping clear of cells other icons already use
+     */
+    snapIcons(icons) {
+        const occupied = new Set();
+        this.getIcons()
+            .filter(icon => !icons.includes(icon))
+            .forEach(icon => {
+                const cell = this.getCell(icon);
+                occupied.add(`${cell.column},${cell.row}`);
+            });
+
+        icons.forEach(icon => {
+            const wanted = this.getCell(icon);
+            const cell = this.findFreeCell(wanted.column, wanted.row, occupied);
+            occupied.add(`${cell.column},${cell.row}`);
+            this.placeInCell(icon, cell.column, cell.row);
+        });
+    }
+
+    /**
+     * Moves every icon to its nearest free grid cell
+     */
+    cleanUp() {
+        const icons = this.getIcons().sort((a, b) =>
+            (parseFloat(a.style.top) - parseFloat(b.style.top)) ||
+            (parseFloat(a.style.left) - parseFloat(b.style.left)));
+
+        const occupied = new Set();
+        icons.forEach(icon => {
+            const wanted = this.getCell(icon);
+            const cell = this.findFreeCell(wanted.column, wanted.row, occupied);
+            occupied.add(`${cell.column},${cell.row}`);
+            this.placeInCell(icon, cell.column, cell.row);
+        });
+
+        this.saveArrangement();
+    }
+
+    /**
+     * Lays the icons out alphabetically, top to bottom then left to right
+     */
+    sortByName() {
+        const label = (icon) => icon.querySelector('.icon-label').textContent.trim();
+        const rows = this.getRowsPerColumn();
+
+        this.getIcons()
+            .sort((a, b) => label(a).localeCompare(label(b)))
+            .forEach((icon, index) => {
+                this.placeInCell(icon, Math.floor(index / rows), index % rows);
+            });
+
+        this.saveArrangement();
+    }
+
+    setSnapToGrid(enabled) {
+        this.snapToGrid = enabled;
+        if (enabled) {
+            this.cleanUp();
+        } else {
+            this.saveArrangement();
+        }
+    }
+
+    // ========================================
+    // CONTEXT MENU
+    // ========================================
+
+    setupContextMenu() {
+        if (!window.contextMenu) return;
+
+        window.contextMenu.register(this.desktop, (desktop, e) => {
+            if (!this.isEmptyDesktop(e.target)) return null;
+
+            return [
+                { label: 'Clean Up', action: () => this.cleanUp() },
+                { label: 'Sort By Name', action: () => this.sortByName() },
+                { separator: true },
+                { label: 'Snap to Grid', checked: this.snapToGrid, action: () => this.setSnapToGrid(!this.snapToGrid) }
+            ];
+        });
+    }
+
+    // ========================================
+    // TRASH
+    // ========================================
+
+    setupTrash() {
+        if (!window.trash) return;
+
+        window.trash.registerKind('icon', {
+            moveToTrash: (iconId) => {
+                const icon = document.getElementById(iconId);
+                if (icon) {
+                    this.moveToTrash([icon]);
+                }
+            },
+            restore: (item) => this.putBack(item),
+            // Desktop icons are built in and can't be erased, so emptying the
+            // Trash (or purging old items) puts them back on the desktop
+            destroy: (item) => this.putBack(item)
+        });
+    }
+
+    /**
+     * Hides icons and puts them in the Trash, remembering where they were
+     */
+    moveToTrash(icons) {
+        if (!window.trash) return;
+
+        icons.forEach(icon => {
+            const iconImage = icon.querySelector('.icon-image');
+
+            this.deselect(icon);
+            icon.hidden = true;
+            this.trashed.add(icon.id);
+
+            window.trash.add({
+                kind: 'icon',
+                name: icon.querySelector('.icon-label').textContent.trim(),
+                icon: (iconImage && iconImage.textContent.trim()) || '📄',
+                data: {
+                    iconId: icon.id,
+                    left: parseFloat(icon.style.left) || 0,
+                    top: parseFloat(icon.style.top) || 0
+                }
+            });
+        });
+
+        this.saveArrangement();
+    }
+
+    /**
+     * Brings a trashed icon back to where it was
+     */
+    putBack(item) {
+        const icon = document.getElementById(item.data.iconId);
+        if (!icon) return;
+
+        icon.hidden = false;
+        this.trashed.delete(icon.id);
+        icon.style.left = item.data.left + 'px';
+        icon.style.top = item.data.top + 'px';
+
+        // Something else may have moved into its spot since
+        if (this.snapToGrid) {
+            this.snapIcons([icon]);
+        }
+
+        this.saveArrangement();
+    }
+
+    isInTrash(iconId) {
+        if (!window.trash) return false;
+        return window.trash.items.some(item => item.kind === 'icon' && item.data && item.data.iconId === iconId);
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    saveArrangement() {
+        if (!window.sessionStore) return;
+
+        const positions = {};
+        this.getIcons().forEach(icon => {
+            positions[icon.id] = {
+                left: parseFloat(icon.style.left),
+                top: parseFloat(icon.style.top)
+            };
+        });
+
+        window.sessionStore.set('icons', {
+            positions,
+            snapToGrid: this.snapToGrid,
+            trashed: Array.from(this.trashed)
+        });
+    }
+
+    restoreArrangement() {
+        const saved = window.sessionStore ? window.sessionStore.get('icons') : null;
+        if (!saved) return;
+
+        this.snapToGrid = !!saved.snapToGrid;
+
+        (saved.trashed || []).forEach(iconId => {
+            const icon = document.getElementById(iconId);
+            // An icon whose Trash item is gone (e.g. erased before it could be
+            // put back) stays on the desktop rather than hidden for good
+            if (icon && this.isInTrash(iconId)) {
+                icon.hidden = true;
+                this.trashed.add(iconId);
+            }
+        });
+
+        const positions = saved.positions || {};
+        this.getIcons().forEach(icon => {
+            const position = positions[icon.id];
+            if (position && isFinite(position.left) && isFinite(position.top)) {
+                icon.style.left = position.left + 'px';
+                icon.style.top = position.top + 'px';
+            }
+        });
+    }
+}
+
+// Create global instance
+window.desktopIcons = new DesktopIcons();
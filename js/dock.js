@@ -0,0 +1,500 @@
+// ========================================
+// DOCK
+// App launcher with running indicators, drag-to-reorder and magnification
+// Dependencies: windowManager.js, sessionStore.js (optional, for the order),
+//               contextMenu.js (optional, for Quit / Keep in Dock), trash.js (optional),
+//               settings.js (optional, for icon size and magnification)
+// ========================================
+
+class Dock {
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.dock = document.querySelector('.dock');
+
+        // Installed apps; launch() opens the app when none of its windows is open.
+        // Camera, Notepad and Gallery live in apps.js and Preferences in preferences.js,
+        // which load after the dock.
+        this.apps = [
+            { id: 'browser', name: 'Browser', icon: '🌐', launch: () => this.windowManager.focus('browserWindow') },
+            { id: 'camera', name: 'Camera', icon: '📷', launch: () => window.desktopApps && window.desktopApps.openCamera() },
+            { id: 'notepad', name: 'Notepad', icon: '✏️', launch: () => window.desktopApps && window.desktopApps.openNotepad() },
+            { id: 'gallery', name: 'Gallery', icon: '🖼️', launch: () => window.desktopApps && window.desktopApps.openGallery() },
+            { id: 'preferences', name: 'System Preferences', icon: '⚙️', launch: () => window.preferences && window.preferences.open() }
+        ];
+
+        // App ids in dock order, and the ones that stay in the dock when not running
+        this.order = this.apps.map(app => app.id);
+        this.pinned = new Set(this.order);
+
+        // Size and magnification, from the 'dock.*' settings
+        this.iconSize = 48;
+        this.magnification = true;
+        this.magnifiedScale = 1.5;
+
+        // Reorder drag state
+        this.drag = null;
+        this.dragThreshold = 4;
+        this.suppressClick = false;
+
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if (!this.dock || !this.windowManager) return;
+
+        this.dock.setAttribute('role', 'toolbar');
+        this.dock.setAttribute('aria-label', 'Dock');
+
+        this.restoreState();
+        this.loadSettings();
+        this.render();
+        this.setupMagnification();
+        this.setupContextMenu();
+
+        // Running dots (and unpinned apps) follow the windows
+        ['open', 'close', 'minimize', 'restore'].forEach(event => {
+            this.windowManager.on(event, '*', () => this.update());
+        });
+
+        console.log('✓ Dock initialized');
+    }
+
+    getApp(appId) {
+        return this.apps.find(app => app.id === appId);
+    }
+
+    /**
+     * Returns the open (or minimized) windows of an app, front-most first
+     */
+    getAppWindows(appId) {
+        return this.windowManager.getOpenWindowIds({ includeMinimized: true }).filter(windowId => {
+            const windowEl = document.getElementById(windowId);
+            return windowEl && windowEl.dataset.app === appId;
+        });
+    }
+
+    isRunning(appId) {
+        return this.getAppWindows(appId).length > 0;
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    /**
+     * Returns the apps shown in the dock: pinned ones plus any that are running
+     */
+    getVisibleAppIds() {
+        return this.order.filter(appId => this.pinned.has(appId) || this.isRunning(appId));
+    }
+
+    /**
+     * Refreshes the running dots, rebuilding the dock only if apps came or went
+     */
+    update() {
+        const shown = this.getAppItems().map(item => item.dataset.app);
+        if (shown.join() !== this.getVisibleAppIds().join()) {
+            this.render();
+            return;
+        }
+
+        this.getAppItems().forEach(item => this.updateRunningState(item));
+    }
+
+    /**
+     * Rebuilds the dock: the visible apps, then the Trash
+     */
+    render() {
+        // Rebuilding mid-drag would drop the item being dragged
+        if (this.drag) return;
+
+        const focusedApp = document.activeElement && document.activeElement.closest &&
+            document.activeElement.closest('.dock-item[data-app]');
+        const focusedAppId = focusedApp ? focusedApp.dataset.app : null;
+
+        this.dock.innerHTML = '';
+
+        this.getVisibleAppIds().forEach(appId => {
+            const item = this.createAppItem(this.getApp(appId));
+            this.dock.appendChild(item);
+            if (appId === focusedAppId) {
+                item.focus();
+            }
+        });
+
+        const separator = document.createElement('div');
+        separator.className = 'dock-separator';
+        separator.setAttribute('role', 'separator');
+        this.dock.appendChild(separator);
+
+        this.dock.appendChild(this.createTrashItem());
+        this.updateTrashState();
+    }
+
+    createAppItem(app) {
+        const item = this.createItem(app.name, app.icon);
+        item.dataset.app = app.id;
+
+        const indicator = document.createElement('span');
+        indicator.className = 'dock-indicator';
+        item.appendChild(indicator);
+        this.updateRunningState(item);
+
+        item.addEventListener('pointerdown', (e) => this.startDrag(item, e));
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+
+            this.bounce(item);
+            this.launch(app.id);
+        });
+
+        return item;
+    }
+
+    updateRunningState(item) {
+        const app = this.getApp(item.dataset.app);
+        const running = this.isRunning(app.id);
+
+        item.classList.toggle('running', running);
+        item.setAttribute('aria-label', running ? `${app.name} (running)` : app.name);
+    }
+
+    createTrashItem() {
+        const item = this.createItem('Trash', '🗑️');
+        item.classList.add('dock-trash');
+        item.querySelector('.dock-icon').classList.add('trash-dock-icon');
+
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (window.trash) {
+                window.trash.open();
+            } else {
+                this.shakeAnimation(item);
+            }
+        });
+
+        return item;
+    }
+
+    /**
+     * Shows the Trash as full or empty
+     */
+    updateTrashState() {
+        const item = this.dock.querySelector('.dock-trash');
+        if (!item) return;
+
+        const count = window.trash ? window.trash.items.length : 0;
+        item.classList.toggle('full', count > 0);
+        item.setAttribute('aria-label', count > 0 ? `Trash (${count} item${count === 1 ? '' : 's'})` : 'Trash');
+    }
+
+    /**
+     * Wiggles the Trash when something lands in it
+     */
+    shakeTrash() {
+        const item = this.dock.querySelector('.dock-trash');
+        if (item) {
+            this.shakeAnimation(item);
+        }
+    }
+
+    /**
+     * Builds a dock item that works like a button from the keyboard
+     */
+    createItem(name, emoji) {
+        const item = document.createElement('div');
+        item.className = 'dock-item';
+        item.title = name;
+        item.setAttribute('role', 'button');
+        item.setAttribute('aria-label', name);
+        item.tabIndex = 0;
+
+        const icon = document.createElement('span');
+        icon.className = 'dock-icon';
+        icon.textContent = emoji;
+        item.appendChild(icon);
+
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                item.click();
+            }
+        });
+
+        return item;
+    }
+
+    // ========================================
+    // APPS
+    // ========================================
+
+    /**
+     * Brings a running app's front window forward, or launches the app
+     */
+    launch(appId) {
+        const windowIds = this.getAppWindows(appId);
+        if (windowIds.length > 0) {
+            this.windowManager.focus(windowIds[0]);
+            return;
+        }
+
+        const app = this.getApp(appId);
+        if (app) {
+            app.launch();
+        }
+    }
+
+    /**
+     * Closes every window of an app
+     */
+    quit(appId) {
+        this.getAppWindows(appId).forEach(windowId => this.windowManager.closeWindow(windowId));
+    }
+
+    setPinned(appId, pinned) {
+        if (pinned) {
+            this.pinned.add(appId);
+        } else {
+            this.pinned.delete(appId);
+        }
+
+        this.saveState();
+        this.render();
+    }
+
+    setupContextMenu() {
+        if (!window.contextMenu) return;
+
+        window.contextMenu.register('.dock-trash', () => {
+            const trash = window.trash;
+            if (!trash) return null;
+
+            return [
+                { label: 'Open', action: () => trash.open() },
+                { separator: true },
+                { label: 'Empty Trash…', disabled: trash.isEmpty(), action: () => trash.empty() }
+            ];
+        });
+
+        window.contextMenu.register('.dock-item[data-app]', (item) => {
+            const app = this.getApp(item.dataset.app);
+            if (!app) return null;
+
+            const windowManager = this.windowManager;
+            const windowItems = this.getAppWindows(app.id).map(windowId => ({
+                label: windowManager.getWindowTitle(windowId),
+                icon: windowManager.windows.get(windowId).minimized ? '◇' : '',
+                action: () => windowManager.focus(windowId)
+            }));
+
+            return [
+                ...windowItems,
+                ...(windowItems.length > 0 ? [{ separator: true }] : []),
+                { label: 'Keep in Dock', checked: this.pinned.has(app.id), action: () => this.setPinned(app.id, !this.pinned.has(app.id)) },
+                { separator: true },
+                { label: 'Quit', disabled: windowItems.length === 0, action: () => this.quit(app.id) }
+            ];
+        });
+    }
+
+    // ========================================
+    // REORDERING
+    // ========================================
+
+    getAppItems() {
+        return Array.from(this.dock.querySelectorAll('.dock-item[data-app]'));
+    }
+
+    startDrag(item, e) {
+        if (e.button !== 0) return;
+
+        this.drag = { item, startX: e.clientX, moved: false };
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerup', this.handlePointerUp);
+    }
+
+    handlePointerMove(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        if (!drag.moved) {
+            if (Math.abs(e.clientX - drag.startX) < this.dragThreshold) return;
+            drag.moved = true;
+            drag.item.classList.add('dragging');
+            this.resetDock(this.getAppItems());
+        }
+
+        // Slot the item in front of the first app whose middle is right of the pointer
+        const others = this.getAppItems().filter(other => other !== drag.item);
+        const before = others.find(other => {
+            const rect = other.getBoundingClientRect();
+            return e.clientX < rect.left + rect.width / 2;
+        });
+        this.dock.insertBefore(drag.item, before || this.dock.querySelector('.dock-separator'));
+    }
+
+    handlePointerUp() {
+        const drag = this.drag;
+        this.drag = null;
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerup', this.handlePointerUp);
+
+        if (!drag || !drag.moved) return;
+
+        drag.item.classList.remove('dragging');
+
+        // The click that ends a drag shouldn't launch the app
+        this.suppressClick = true;
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+
+        // Apps hidden from the dock keep their place after the visible ones
+        const visible = this.getAppItems().map(el => el.dataset.app);
+        this.order = [...visible, ...this.order.filter(appId => !visible.includes(appId))];
+        this.saveState();
+    }
+
+    // ========================================
+    // MAGNIFICATION & ANIMATIONS
+    // ========================================
+
+    setupMagnification() {
+        // Reset dock on mouse leave
+        this.dock.addEventListener('mouseleave', () => {
+            this.resetDock(this.getItems());
+        });
+
+        // Continuous magnification based on mouse position
+        this.dock.addEventListener('mousemove', (e) => {
+            if (!this.magnification || (this.drag && this.drag.moved)) return;
+
+            const dockRect = this.dock.getBoundingClientRect();
+            const mouseX = e.clientX - dockRect.left;
+
+            this.getItems().forEach((item) => {
+                const itemRect = item.getBoundingClientRect();
+                const itemCenterX = itemRect.left + itemRect.width / 2 - dockRect.left;
+                const distance = Math.abs(mouseX - itemCenterX);
+
+                // Magnification based on distance from cursor
+                const maxDistance = 150;
+                const minScale = 1;
+                const maxScale = this.magnifiedScale;
+                const minTranslate = 0;
+                const maxTranslate = -this.iconSize * (maxScale - 1);
+
+                if (distance < maxDistance) {
+                    const factor = 1 - (distance / maxDistance);
+                    const scale = minScale + (maxScale - minScale) * factor;
+                    const translateY = minTranslate + (maxTranslate - minTranslate) * factor;
+
+                    item.style.transform = `translateY(${translateY}px) scale(${scale})`;
+                    item.style.transition = 'all 0.2s cubic-bezier(0.34, 1.56, 0.64, 1)';
+                } else {
+                    item.style.transform = 'translateY(0) scale(1)';
+                    item.style.transition = 'all 0.3s cubic-bezier(0.34, 1.56, 0.64, 1)';
+                }
+            });
+        });
+    }
+
+    getItems() {
+        return Array.from(this.dock.querySelectorAll('.dock-item'));
+    }
+
+    loadSettings() {
+        const settings = window.settings;
+        if (settings) {
+            const apply = () => {
+                this.iconSize = settings.get('dock.iconSize');
+                this.magnification = settings.get('dock.magnification');
+                this.magnifiedScale = settings.get('dock.magnifiedScale');
+                this.applyIconSize();
+            };
+
+            settings.on('*', (value, key) => {
+                if (key.startsWith('dock.')) {
+                    apply();
+                }
+            });
+            apply();
+        } else {
+            this.applyIconSize();
+        }
+    }
+
+    /**
+     * Sizes the dock icons (the minimized-window shelf above the dock follows the same variable)
+     */
+    applyIconSize() {
+        document.documentElement.style.setProperty('--dock-icon-size', this.iconSize + 'px');
+        this.resetDock(this.getItems());
+    }
+
+    resetDock(items) {
+        items.forEach(item => {
+            item.style.transform = 'translateY(0) scale(1)';
+            item.style.transition = 'all 0.3s cubic-bezier(0.34, 1.56, 0.64, 1)';
+        });
+    }
+
+    bounce(item) {
+        item.classList.add('bouncing');
+        setTimeout(() => item.classList.remove('bouncing'), 600);
+    }
+
+    shakeAnimation(element) {
+        let shakeCount = 0;
+        const shakeInterval = setInterval(() => {
+            const rotation = shakeCount % 2 === 0 ? 10 : -10;
+            element.style.transform = `rotate(${rotation}deg)`;
+            shakeCount++;
+
+            if (shakeCount >= 6) {
+                clearInterval(shakeInterval);
+                element.style.transform = '';
+            }
+        }, 50);
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    saveState() {
+        if (!window.sessionStore) return;
+
+        window.sessionStore.set('dock', {
+            order: this.order,
+            pinned: Array.from(this.pinned)
+        });
+    }
+
+    restoreState() {
+        const saved = window.sessionStore ? window.sessionStore.get('dock') : null;
+        if (!saved) return;
+
+        const known = this.apps.map(app => app.id);
+
+        // Apps added since the dock was saved go on the end, pinned
+        if (Array.isArray(saved.order)) {
+            const order = saved.order.filter(appId => known.includes(appId));
+            this.order = [...order, ...known.filter(appId => !order.includes(appId))];
+        }
+        if (Array.isArray(saved.pinned)) {
+            const savedOrder = Array.isArray(saved.order) ? saved.order : [];
+            this.pinned = new Set(known.filter(appId => saved.pinned.includes(appId) || !savedOrder.includes(appId)));
+        }
+    }
+}
+
+// Create global instance
+window.dock = new Dock(window.windowManager);
@@ -39,9 +39,18 @@ class DrawingModeManager {
             return;
         }
 
-        // Check if user previously enabled drawing mode (localStorage)
+        // Check if user previously enabled drawing mode (the 'appearance.drawnMode' setting)
         this.loadSavedPreference();
 
+        // Preferences can switch it too
+        if (window.settings) {
+            window.settings.on('appearance.drawnMode', (enabled) => {
+                if (enabled !== this.isDrawingMode) {
+                    this.toggle();
+                }
+            });
+        }
+
         // Add click event listener
         this.toggleButton.addEventListener('click', () => this.toggle());
 
@@ -208,10 +217,20 @@ class DrawingModeManager {
                 return;
             }
 
+            // Allow restoring minimized windows from the shelf
+            if (e.target.closest('.minimized-shelf')) {
+                return;
+            }
+
+            // Allow dismissing notifications and using their actions
+            if (e.target.closest('.toast-stack')) {
+                return;
+            }
+
             // Allow Camera, Notepad, and Gallery app interactions
-            if (e.target.closest('#cameraWindow') ||
-                e.target.closest('#notepadWindow') ||
-                e.target.closest('#galleryWindow') ||
+            if (e.target.closest('.camera-window') ||
+                e.target.closest('.notepad-window') ||
+                e.target.closest('.gallery-window') ||
                 e.target.closest('#cameraIcon') ||
                 e.target.closest('#notepadIcon') ||
                 e.target.closest('#galleryIcon')) {
@@ -312,30 +331,23 @@ class DrawingModeManager {
     }
 
     savePreference() {
-        try {
-            localStorage.setItem('drawingMode', this.isDrawingMode ? 'enabled' : 'disabled');
-        } catch (e) {
-            console.warn('Could not save drawing mode preference:', e);
+        if (window.settings) {
+            window.settings.set('appearance.drawnMode', this.isDrawingMode);
         }
     }
 
     loadSavedPreference() {
-        try {
-            const saved = localStorage.getItem('drawingMode');
-            if (saved === 'enabled') {
-                // Enable immediately on page load
-                this.body.classList.add('drawn-mode');
-                this.isDrawingMode = true;
-                this.updateButtonIcon('🖥️');
-
-                // Enable minimal effects
-                this.swapToDrawnIcons();
-
-                // Block interactions
-                this.blockInteractions();
-            }
-        } catch (e) {
-            console.warn('Could not load drawing mode preference:', e);
+        if (window.settings && window.settings.get('appearance.drawnMode')) {
+            // Enable immediately on page load
+            this.body.classList.add('drawn-mode');
+            this.isDrawingMode = true;
+            this.updateButtonIcon('🖥️');
+
+            // Enable minimal effects
+            this.swapToDrawnIcons();
+
+            // Block interactions
+            this.blockInteractions();
         }
     }
 }
@@ -1,5 +1,5 @@
-// Timing constants
-const ANIMATION_DURATION = 3000; // Show intro for 3 seconds
+// Timing constants (how long the intro shows is the 'intro.duration' setting)
+const ANIMATION_DURATION = 3000; // Default: show intro for 3 seconds
 const FADE_TRANSITION = 800; // Fade transition duration
 
 // Cloud cursor settings
@@ -20,8 +20,16 @@ let isIntroActive = true;
 // ========================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    const settings = window.settings;
+
+    // The intro can be turned off in Preferences
+    if (settings && !settings.get('intro.enabled')) {
+        skipIntro();
+        return;
+    }
+
     initCloudCursor();
-    setTimeout(fadeOutIntro, ANIMATION_DURATION);
+    setTimeout(fadeOutIntro, settings ? settings.get('intro.duration') : ANIMATION_DURATION);
 });
 
 // ========================================
@@ -136,20 +144,32 @@ function fadeOutIntro() {
     setTimeout(() => {
         introScreen.style.display = "none";
         cleanupCloudCursor();
-
-        const desktop = document.querySelector(".desktop-background");
-        if (desktop) {
-            desktop.style.display = "block";
-            console.log("✓ Transitioned to desktop");
-
-            // Force center the browser window after desktop is visible
-            setTimeout(() => {
-                const browserWindow = document.getElementById("browserWindow");
-                if (browserWindow && window.windowManager) {
-                    window.windowManager.centerWindowNow(browserWindow);
-                    console.log("✓ Browser window centered");
-                }
-            }, 100);
-        }
+        showDesktop();
     }, FADE_TRANSITION);
 }
+
+function skipIntro() {
+    const introScreen = document.getElementById("introScreen");
+    if (introScreen) {
+        introScreen.style.display = "none";
+    }
+
+    isIntroActive = false;
+    showDesktop();
+}
+
+function showDesktop() {
+    const desktop = document.querySelector(".desktop-background");
+    if (desktop) {
+        desktop.style.display = "block";
+        console.log("✓ Transitioned to desktop");
+
+        // Restore the saved window layout (or center the browser window
+        // on a first visit) after desktop is visible
+        setTimeout(() => {
+            if (window.windowManager) {
+                window.windowManager.restoreSession();
+            }
+        }, 100);
+    }
+}
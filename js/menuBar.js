@@ -0,0 +1,563 @@
+// ========================================
+// MENU BAR
+// Dropdown menus whose contents follow the focused app
+// Dependencies: windowManager.js
+// ========================================
+
+class MenuBar {
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.bar = document.querySelector('.menu-bar');
+        this.dropdown = null;
+        this.openMenu = null; // data-menu of the open dropdown
+        this.items = []; // Items shown in the open dropdown
+        this.highlightedIndex = -1;
+
+        // App id (data-app on its windows) -> { name, menus(windowId) }
+        this.apps = new Map();
+        this.menuOrder = ['apple', 'app', 'File', 'Edit', 'View', 'Go', 'Window', 'Help'];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.bar) return;
+
+        this.bar.setAttribute('role', 'menubar');
+        this.getTitles().forEach(title => {
+            title.setAttribute('role', 'menuitem');
+            title.setAttribute('aria-haspopup', 'true');
+            title.setAttribute('aria-expanded', 'false');
+
+            title.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.openMenu === title.dataset.menu) {
+                    this.close();
+                } else {
+                    this.open(title.dataset.menu);
+                }
+            });
+
+            // Like macOS, sliding across the bar switches menus once one is open
+            title.addEventListener('mouseenter', () => {
+                if (this.openMenu && this.openMenu !== title.dataset.menu) {
+                    this.open(title.dataset.menu);
+                }
+            });
+        });
+
+        document.addEventListener('click', (e) => {
+            if (this.openMenu && !e.target.closest('.menu-dropdown')) {
+                this.close();
+            }
+        });
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('blur', () => this.close());
+        window.addEventListener('resize', () => this.close());
+
+        // The app name follows the front window
+        if (this.windowManager) {
+            ['focus', 'blur', 'close'].forEach(event => {
+                this.windowManager.on(event, '*', () => this.updateAppName());
+            });
+        }
+        this.updateAppName();
+    }
+
+    // ========================================
+    // APPS
+    // ========================================
+
+    /**
+     * Registers the menus an app shows while one of its windows is focused.
+     * menus(windowId) returns e.g. { File: [...], Edit: [...] }; menus it leaves
+     * out keep the desktop defaults. Items: { label, shortcut, hint, action,
+     * disabled, checked, keywords } or { separator: true }. shortcut ('Mod+Shift+Z')
+     * is handled by the menu bar; hint is display-only; keywords help Spotlight
+     * find the item (every enabled item is searchable there).
+     */
+    registerApp(appId, { name, menus }) {
+        this.apps.set(appId, { name, menus });
+        this.updateAppName();
+    }
+
+    getFocusedApp() {
+        const windowId = this.windowManager ? this.windowManager.getFocusedWindowId() : null;
+        const windowEl = windowId ? document.getElementById(windowId) : null;
+        const appId = windowEl ? windowEl.dataset.app : null;
+
+        return {
+            windowId,
+            app: (appId && this.apps.get(appId)) || null
+        };
+    }
+
+    updateAppName() {
+        const title = this.bar && this.bar.querySelector('[data-menu="app"]');
+        if (!title) return;
+
+        const { app } = this.getFocusedApp();
+        title.textContent = app ? app.name : 'Finder';
+    }
+
+    // ========================================
+    // MENU CONTENTS
+    // ========================================
+
+    /**
+     * Builds the items of one menu for the focused app
+     */
+    getMenuItems(menu) {
+        const { windowId, app } = this.getFocusedApp();
+        const appMenus = app ? app.menus(windowId) : {};
+        const appName = app ? app.name : 'Finder';
+        const windowManager = this.windowManager;
+
+        switch (menu) {
+            case 'apple':
+                return [
+                    {
+                        label: 'Drawing Mode',
+                        hint: 'Mod+D',
+                        keywords: ['toggle', 'sketch', 'hand-drawn'],
+                        checked: document.body.classList.contains('drawn-mode'),
+                        action: () => window.drawingModeManager && window.drawingModeManager.toggle()
+                    },
+                    {
+                        label: 'System Preferences…',
+                        shortcut: 'Mod+,',
+                        keywords: ['settings', 'options'],
+                        disabled: !window.preferences,
+                        action: () => window.preferences.open()
+                    },
+                    { separator: true },
+                    { label: 'Reset Window Layout', shortcut: 'Mod+Alt+R', action: () => windowManager.resetLayout() }
+                ];
+
+            case 'app':
+                return [
+                    { label: `About ${appName}`, disabled: true },
+                    { separator: true },
+                    ...(appMenus.app || []),
+                    {
+                        label: `Close All ${appName} Windows`,
+                        disabled: !app,
+                        action: () => this.closeAppWindows(windowId)
+                    }
+                ];
+
+            case 'File':
+                return this.withSeparator(appMenus.File, [
+                    { label: 'Close Window', shortcut: 'Mod+W', disabled: !windowId, action: () => windowManager.closeWindow(windowId) }
+                ]);
+
+            case 'Edit':
+                return appMenus.Edit || [
+                    { label: 'Undo', hint: 'Mod+Z', disabled: true },
+                    { separator: true },
+                    { label: 'Cut', hint: 'Mod+X', disabled: true },
+                    { label: 'Copy', hint: 'Mod+C', disabled: true },
+                    { label: 'Paste', hint: 'Mod+V', disabled: true },
+                    { label: 'Select All', hint: 'Mod+A', disabled: true }
+                ];
+
+            case 'View':
+                return this.withSeparator(appMenus.View, [
+                    {
+                        label: windowId && windowManager.windows.get(windowId).snapZone === 'fullscreen'
+                            ? 'Exit Full Screen'
+                            : 'Enter Full Screen',
+                        shortcut: 'Mod+Alt+F',
+                        disabled: !windowId,
+                        action: () => windowManager.toggleMaximize(windowId, { fullScreen: true })
+                    }
+                ]);
+
+            case 'Go':
+                return appMenus.Go || this.getAppLauncherItems();
+
+            case 'Window':
+                return this.getWindowMenuItems(windowId);
+
+            case 'Help':
+                return [
+                    { label: 'Keyboard Shortcuts', shortcut: 'Mod+/', action: () => this.showShortcutsHelp() }
+                ];
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Puts an app's items above the standard ones, split by a separator
+     */
+    withSeparator(appItems, standardItems) {
+        if (!appItems || appItems.length === 0) return standardItems;
+        return [...appItems, { separator: true }, ...standardItems];
+    }
+
+    /**
+     * Go menu on the desktop: the browser plus each app, opened by its desktop icon
+     */
+    getAppLauncherItems() {
+        const items = [
+            { label: 'Web Browser', action: () => this.windowManager.showWindow('browserWindow') }
+        ];
+
+        document.querySelectorAll('.desktop-icon').forEach(icon => {
+            items.push({
+                label: icon.querySelector('.icon-label').textContent.trim(),
+                action: () => icon.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }))
+            });
+        });
+
+        return items;
+    }
+
+    getWindowMenuItems(windowId) {
+        const windowManager = this.windowManager;
+        const items = [
+            { label: 'Minimize', shortcut: 'Mod+M', disabled: !windowId, action: () => windowManager.minimizeWindow(windowId) },
+            { label: 'Zoom', disabled: !windowId, action: () => windowManager.toggleMaximize(windowId) },
+            { label: 'Cycle Through Windows', hint: 'Mod+`', action: () => windowManager.cycleFocus(1) },
+            { separator: true },
+            { label: 'Tile Windows', shortcut: 'Mod+Alt+T', action: () => windowManager.tileWindows() },
+            { label: 'Bring All to Front', action: () => this.bringAllToFront() }
+        ];
+
+        // Open windows in stacking order; minimized ones are marked with a diamond
+        const windowIds = windowManager.getOpenWindowIds({ includeMinimized: true });
+        if (windowIds.length > 0) {
+            items.push({ separator: true });
+            windowIds.forEach(id => {
+                const minimized = windowManager.windows.get(id).minimized;
+                items.push({
+                    label: (minimized ? '◇ ' : '') + windowManager.getWindowTitle(id),
+                    checked: id === windowId,
+                    action: () => windowManager.focus(id)
+                });
+            });
+        }
+
+        return items;
+    }
+
+    closeAppWindows(windowId) {
+        const appId = document.getElementById(windowId).dataset.app;
+        this.windowManager.getOpenWindowIds({ includeMinimized: true }).forEach(id => {
+            if (document.getElementById(id).dataset.app === appId) {
+                this.windowManager.closeWindow(id);
+            }
+        });
+    }
+
+    /**
+     * Restores every minimized window, keeping the focused one on top
+     */
+    bringAllToFront() {
+        const focusedId = this.windowManager.getFocusedWindowId();
+        this.windowManager.getOpenWindowIds({ includeMinimized: true }).reverse().forEach(id => {
+            this.windowManager.focus(id);
+        });
+        if (focusedId) {
+            this.windowManager.focus(focusedId);
+        }
+    }
+
+    /**
+     * Opens (or focuses) a window listing every shortcut in the menus
+     */
+    showShortcutsHelp() {
+        const windowId = 'shortcutsWindow';
+        if (!document.getElementById(windowId)) {
+            const rows = [
+                ['Mod+W', 'Close window'],
+                ['Mod+M', 'Minimize window'],
+                ['Mod+N', 'New window of the focused app'],
+                ['Mod+`', 'Cycle windows (Shift to go back)'],
+                ['Alt+Tab', 'Switch windows'],
+                ['Mod+Alt+Left', 'Snap window left'],
+                ['Mod+Alt+Right', 'Snap window right'],
+                ['Mod+Alt+Up', 'Maximize window'],
+                ['Mod+Alt+Down', 'Restore snapped window'],
+                ['Alt+Shift+Arrow', 'Nudge window'],
+                ['Mod+Alt+F', 'Full screen'],
+                ['Mod+Alt+T', 'Tile windows'],
+                ['Mod+Alt+R', 'Reset window layout'],
+                ['Mod+D', 'Drawing mode']
+            ];
+
+            const list = document.createElement('dl');
+            list.className = 'shortcut-list';
+            rows.forEach(([shortcut, description]) => {
+                const keys = document.createElement('dt');
+                keys.textContent = this.formatShortcut(shortcut);
+                const text = document.createElement('dd');
+                text.textContent = description;
+                list.appendChild(keys);
+                list.appendChild(text);
+            });
+
+            this.windowManager.createWindow({
+                id: windowId,
+                title: 'Keyboard Shortcuts',
+                icon: '⌨️',
+                content: list,
+                width: 380,
+                height: 460
+            });
+
+            // Only one help window - close gets rid of it
+            this.windowManager.on('close', windowId, () => {
+                setTimeout(() => this.windowManager.destroyWindow(windowId), 0);
+            });
+        }
+
+        this.windowManager.showWindow(windowId);
+    }
+
+    // ========================================
+    // DROPDOWN
+    // ========================================
+
+    getTitles() {
+        return Array.from(this.bar.querySelectorAll('[data-menu]'));
+    }
+
+    open(menu) {
+        const title = this.bar.querySelector(`[data-menu="${menu}"]`);
+        if (!title) return;
+
+        if (!this.dropdown) {
+            this.dropdown = document.createElement('div');
+            this.dropdown.className = 'menu-dropdown';
+            this.dropdown.setAttribute('role', 'menu');
+            document.body.appendChild(this.dropdown);
+        }
+
+        this.getTitles().forEach(t => {
+            const isOpen = t === title;
+            t.classList.toggle('open', isOpen);
+            t.setAttribute('aria-expanded', String(isOpen));
+        });
+
+        this.openMenu = menu;
+        this.items = this.getMenuItems(menu);
+        this.highlightedIndex = -1;
+        this.render();
+
+        const rect = title.getBoundingClientRect();
+        this.dropdown.style.left = rect.left + 'px';
+        this.dropdown.style.top = this.bar.getBoundingClientRect().bottom + 'px';
+        this.dropdown.classList.add('active');
+    }
+
+    close() {
+        if (!this.openMenu) return;
+
+        this.openMenu = null;
+        this.items = [];
+        this.getTitles().forEach(t => {
+            t.classList.remove('open');
+            t.setAttribute('aria-expanded', 'false');
+        });
+        if (this.dropdown) {
+            this.dropdown.classList.remove('active');
+        }
+    }
+
+    render() {
+        this.dropdown.innerHTML = '';
+
+        this.items.forEach((item, index) => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+                separator.className = 'menu-separator';
+                separator.setAttribute('role', 'separator');
+                this.dropdown.appendChild(separator);
+                return;
+            }
+
+            const row = document.createElement('div');
+            row.className = 'menu-dropdown-item';
+            row.setAttribute('role', item.checked !== undefined ? 'menuitemcheckbox' : 'menuitem');
+            if (item.checked !== undefined) {
+                row.setAttribute('aria-checked', String(!!item.checked));
+            }
+            if (item.disabled) {
+                row.classList.add('disabled');
+                row.setAttribute('aria-disabled', 'true');
+            }
+
+            const check = document.createElement('span');
+            check.className = 'menu-check';
+            check.textContent = item.checked ? '✓' : '';
+
+            const label = document.createElement('span');
+            label.className = 'menu-label';
+            label.textContent = item.label;
+
+            const shortcut = document.createElement('span');
+            shortcut.className = 'menu-shortcut';
+            shortcut.textContent = this.formatShortcut(item.shortcut || item.hint || '');
+
+            row.appendChild(check);
+            row.appendChild(label);
+            row.appendChild(shortcut);
+
+            row.addEventListener('mouseenter', () => this.highlight(index));
+            row.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.activate(index);
+            });
+
+            this.dropdown.appendChild(row);
+        });
+    }
+
+    highlight(index) {
+        this.highlightedIndex = index;
+
+        // Separators are rendered too, so children line up with this.items
+        Array.from(this.dropdown.children).forEach((child, childIndex) => {
+            child.classList.toggle('highlighted', childIndex === index);
+        });
+    }
+
+    activate(index) {
+        const item = this.items[index];
+        if (!item || item.separator || item.disabled) return;
+
+        this.close();
+        if (item.action) {
+            item.action();
+        }
+    }
+
+    // ========================================
+    // KEYBOARD
+    // ========================================
+
+    handleKeyDown(e) {
+        // Ctrl+F2 moves into the menu bar, like macOS
+        if (e.ctrlKey && e.key === 'F2') {
+            e.preventDefault();
+            this.open('apple');
+            this.moveHighlight(1);
+            return;
+        }
+
+        if (this.openMenu) {
+            this.handleMenuKey(e);
+            return;
+        }
+
+        this.handleShortcut(e);
+    }
+
+    handleMenuKey(e) {
+        const handled = {
+            ArrowDown: () => this.moveHighlight(1),
+            ArrowUp: () => this.moveHighlight(-1),
+            ArrowRight: () => this.switchMenu(1),
+            ArrowLeft: () => this.switchMenu(-1),
+            Enter: () => this.activate(this.highlightedIndex),
+            ' ': () => this.activate(this.highlightedIndex),
+            Escape: () => this.close(),
+            Tab: () => this.close()
+        }[e.key];
+
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+            handled();
+        }
+    }
+
+    /**
+     * Moves the highlight to the next enabled item, wrapping around
+     */
+    moveHighlight(step) {
+        const count = this.items.length;
+        if (count === 0) return;
+
+        let index = this.highlightedIndex;
+        for (let i = 0; i < count; i++) {
+            index = (index + step + count) % count;
+            const item = this.items[index];
+            if (!item.separator && !item.disabled) {
+                this.highlight(index);
+                return;
+            }
+        }
+    }
+
+    switchMenu(step) {
+        const menus = this.getTitles().map(t => t.dataset.menu);
+        const index = menus.indexOf(this.openMenu);
+        this.open(menus[(index + step + menus.length) % menus.length]);
+        this.moveHighlight(1);
+    }
+
+    /**
+     * Runs the menu item whose shortcut matches a key press
+     */
+    handleShortcut(e) {
+        if (!(e.metaKey || e.ctrlKey)) return;
+
+        // Text fields keep their own undo, copy and paste
+        const isTyping = e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]');
+
+        for (const menu of this.menuOrder) {
+            if (menu === 'Edit' && isTyping) continue;
+
+            const item = this.getMenuItems(menu).find(candidate =>
+                candidate.shortcut && this.matchesShortcut(e, candidate.shortcut));
+            if (!item) continue;
+
+            // Disabled items still swallow the key, so the browser doesn't act on it
+            e.preventDefault();
+            if (!item.disabled && item.action) {
+                item.action();
+            }
+            return;
+        }
+    }
+
+    /**
+     * Checks a key event against a shortcut like 'Mod+Shift+Z'.
+     * Mod is Cmd on a Mac and Ctrl elsewhere; keys are compared by e.code
+     * because Alt changes e.key on a Mac.
+     */
+    matchesShortcut(e, shortcut) {
+        const parts = shortcut.split('+');
+        const key = parts.pop();
+
+        if (parts.includes('Mod') !== (e.metaKey || e.ctrlKey)) return false;
+        if (parts.includes('Alt') !== e.altKey) return false;
+        if (parts.includes('Shift') !== e.shiftKey) return false;
+
+        const codes = { '`': 'Backquote', '=': 'Equal', '-': 'Minus', '/': 'Slash', ',': 'Comma', '[': 'BracketLeft', ']': 'BracketRight' };
+        const code = codes[key] || (/^[0-9]$/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`);
+        return e.code === code;
+    }
+
+    /**
+     * Turns 'Mod+Alt+R' into '⌥⌘R'
+     */
+    formatShortcut(shortcut) {
+        if (!shortcut) return '';
+
+        const symbols = { Alt: '⌥', Shift: '⇧', Mod: '⌘', Left: '←', Right: '→', Up: '↑', Down: '↓', Arrow: '↑↓' };
+        const order = ['Alt', 'Shift', 'Mod'];
+        const parts = shortcut.split('+');
+        const key = parts.pop();
+
+        return order.filter(modifier => parts.includes(modifier)).map(modifier => symbols[modifier]).join('') +
+            (key === 'Tab' ? '⇥' : (symbols[key] || key.toUpperCase()));
+    }
+}
+
+// Create global instance
+window.menuBar = new MenuBar(window.windowManager);
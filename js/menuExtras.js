@@ -0,0 +1,507 @@
+// ========================================
+// MENU BAR EXTRAS
+// The clock, battery and Wi-Fi items on the right of the menu bar, each with a popover
+// Dependencies: settings.js (optional, for the clock format),
+//               menuBar.js (optional, its dropdown closes when a popover opens),
+//               notifications.js (optional, tells the user when the network drops)
+// ========================================
+
+class MenuExtras {
+    constructor() {
+        this.clockItem = document.getElementById('clockStatus');
+        this.batteryItem = document.getElementById('batteryStatus');
+        this.wifiItem = document.getElementById('wifiStatus');
+
+        this.popover = null;
+        this.openExtra = null; // 'clock', 'battery' or 'wifi'
+
+        // Clock format, from the 'clock.*' settings; see setClockFormat()
+        this.clock = { hour12: true, showSeconds: false };
+        this.clockTimer = null;
+        this.lastTickDate = null;
+
+        // First day of the month the calendar shows
+        this.calendarMonth = null;
+
+        // BatteryManager, once navigator.getBattery() resolves (null without the API)
+        this.battery = null;
+
+        this.init();
+    }
+
+    init() {
+        this.loadClockSettings();
+
+        const extras = {
+            clock: [this.clockItem, 'Clock and Calendar'],
+            battery: [this.batteryItem, 'Battery'],
+            wifi: [this.wifiItem, 'Wi-Fi']
+        };
+        Object.entries(extras).forEach(([extra, [item, label]]) => {
+            if (!item) return;
+
+            item.setAttribute('role', 'button');
+            item.setAttribute('aria-haspopup', 'dialog');
+            item.setAttribute('aria-expanded', 'false');
+            item.setAttribute('aria-label', label);
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggle(extra);
+            });
+        });
+
+        // Capture phase, since menu bar titles stop their clicks from bubbling
+        document.addEventListener('pointerdown', (e) => {
+            if (this.openExtra && !e.target.closest('.menu-popover, .menu-extra')) {
+                this.close();
+            }
+        }, true);
+        document.addEventListener('keydown', (e) => {
+            if (this.openExtra && e.key === 'Escape') {
+                this.close();
+            }
+        });
+        window.addEventListener('blur', () => this.close());
+        window.addEventListener('resize', () => this.close());
+
+        this.startClock();
+        this.setupBattery();
+        this.setupNetwork();
+
+        console.log('✓ Menu bar extras initialized');
+    }
+
+    // ========================================
+    // CLOCK
+    // ========================================
+
+    /**
+     * Ticks on the exact minute (or second) boundary rather than every 60s
+     * from page load, so the clock never lags behind the system clock
+     */
+    startClock() {
+        clearTimeout(this.clockTimer);
+        this.tick();
+
+        const interval = this.clock.showSeconds ? 1000 : 60000;
+        const delay = interval - (Date.now() % interval);
+        this.clockTimer = setTimeout(() => this.startClock(), delay);
+    }
+
+    tick() {
+        const now = new Date();
+
+        if (this.clockItem) {
+            this.clockItem.textContent = this.formatTime(now);
+            this.clockItem.title = now.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        }
+
+        // The calendar moves on to the next day at midnight
+        const today = now.toDateString();
+        if (this.lastTickDate && this.lastTickDate !== today && this.openExtra === 'clock') {
+            this.renderPopover();
+        }
+        this.lastTickDate = today;
+    }
+
+    formatTime(date) {
+        return date.toLocaleTimeString([], {
+            hour: 'numeric',
+            minute: '2-digit',
+            second: this.clock.showSeconds ? '2-digit' : undefined,
+            hour12: this.clock.hour12
+        });
+    }
+
+    /**
+     * Changes the clock format: { hour12, showSeconds }
+     */
+    setClockFormat(format) {
+        if (window.settings) {
+            // The settings listeners apply it
+            Object.entries(format).forEach(([name, value]) => window.settings.set(`clock.${name}`, value));
+        } else {
+            this.applyClockFormat(format);
+        }
+    }
+
+    applyClockFormat(format) {
+        Object.assign(this.clock, format);
+        this.startClock();
+
+        if (this.openExtra === 'clock') {
+            this.renderPopover();
+        }
+    }
+
+    loadClockSettings() {
+        const settings = window.settings;
+        if (!settings) return;
+
+        ['hour12', 'showSeconds'].forEach(name => {
+            this.clock[name] = settings.get(`clock.${name}`);
+            settings.on(`clock.${name}`, (value) => this.applyClockFormat({ [name]: value }));
+        });
+    }
+
+    // ========================================
+    // BATTERY
+    // ========================================
+
+    setupBattery() {
+        // The Battery Status API only exists in some browsers
+        if (!navigator.getBattery) {
+            this.updateBattery();
+            return;
+        }
+
+        navigator.getBattery().then(battery => {
+            this.battery = battery;
+            ['levelchange', 'chargingchange', 'chargingtimechange', 'dischargingtimechange'].forEach(event => {
+                battery.addEventListener(event, () => this.updateBattery());
+            });
+            this.updateBattery();
+        }).catch(() => this.updateBattery());
+    }
+
+    updateBattery() {
+        if (!this.batteryItem) return;
+
+        const battery = this.battery;
+        if (!battery) {
+            this.batteryItem.textContent = '🔋';
+            this.batteryItem.setAttribute('aria-label', 'Battery status unavailable');
+        } else {
+            const percent = Math.round(battery.level * 100);
+            const low = !battery.charging && battery.level <= 0.2;
+            this.batteryItem.textContent = `${battery.charging ? '⚡' : low ? '🪫' : '🔋'} ${percent}%`;
+            this.batteryItem.classList.toggle('low', low);
+            this.batteryItem.setAttribute('aria-label', `Battery ${percent}%${battery.charging ? ', charging' : ''}`);
+        }
+
+        if (this.openExtra === 'battery') {
+            this.renderPopover();
+        }
+    }
+
+    /**
+     * "1:25" from a number of seconds; null when the API doesn't know (Infinity)
+     */
+    formatDuration(seconds) {
+        if (!isFinite(seconds) || seconds <= 0) return null;
+
+        const minutes = Math.round(seconds / 60);
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    // ========================================
+    // NETWORK
+    // ========================================
+
+    setupNetwork() {
+        window.addEventListener('online', () => this.updateNetwork());
+        window.addEventListener('offline', () => {
+            this.updateNetwork();
+            if (window.notifications) {
+                window.notifications.notify({
+                    title: 'Wi-Fi Disconnected',
+                    message: 'You are offline. The desktop keeps working, but web pages may not load.',
+                    icon: '📶',
+                    type: 'error'
+                });
+            }
+        });
+
+        // Network Information API (Chromium only): connection type and speed
+        if (navigator.connection && navigator.connection.addEventListener) {
+            navigator.connection.addEventListener('change', () => this.updateNetwork());
+        }
+
+        this.updateNetwork();
+    }
+
+    isOnline() {
+        // Browsers without navigator.onLine are assumed to be online
+        return navigator.onLine !== false;
+    }
+
+    updateNetwork() {
+        if (!this.wifiItem) return;
+
+        const online = this.isOnline();
+        this.wifiItem.classList.toggle('offline', !online);
+        this.wifiItem.setAttribute('aria-label', online ? 'Wi-Fi: connected' : 'Wi-Fi: not connected');
+
+        if (this.openExtra === 'wifi') {
+            this.renderPopover();
+        }
+    }
+
+    // ========================================
+    // POPOVERS
+    // ========================================
+
+    toggle(extra) {
+        if (this.openExtra === extra) {
+            this.close();
+        } else {
+            this.open(extra);
+        }
+    }
+
+    open(extra) {
+        const item = this.getItem(extra);
+        if (!item) return;
+
+        if (window.menuBar) {
+            window.menuBar.close();
+        }
+
+        if (!this.popover) {
+            this.popover = document.createElement('div');
+            this.popover.className = 'menu-popover';
+            this.popover.setAttribute('role', 'dialog');
+            document.body.appendChild(this.popover);
+        }
+
+        if (this.openExtra) {
+            this.getItem(this.openExtra).classList.remove('open');
+            this.getItem(this.openExtra).setAttribute('aria-expanded', 'false');
+        }
+
+        this.openExtra = extra;
+        if (extra === 'clock') {
+            this.calendarMonth = this.startOfMonth(new Date());
+        }
+
+        item.classList.add('open');
+        item.setAttribute('aria-expanded', 'true');
+        this.popover.setAttribute('aria-label', item.getAttribute('aria-label'));
+        this.renderPopover();
+        this.popover.classList.add('active');
+        this.placePopover(item);
+    }
+
+    close() {
+        if (!this.openExtra) return;
+
+        const item = this.getItem(this.openExtra);
+        item.classList.remove('open');
+        item.setAttribute('aria-expanded', 'false');
+
+        this.openExtra = null;
+        this.popover.classList.remove('active');
+    }
+
+    getItem(extra) {
+        return { clock: this.clockItem, battery: this.batteryItem, wifi: this.wifiItem }[extra];
+    }
+
+    /**
+     * Hangs the popover under its item, kept inside the window's right edge
+     */
+    placePopover(item) {
+        const margin = 8;
+        const rect = item.getBoundingClientRect();
+        const bar = document.querySelector('.menu-bar');
+        const width = this.popover.offsetWidth;
+
+        const left = Math.min(rect.left, window.innerWidth - margin - width);
+        this.popover.style.left = Math.max(margin, left) + 'px';
+        this.popover.style.top = (bar ? bar.getBoundingClientRect().bottom : rect.bottom) + 'px';
+    }
+
+    renderPopover() {
+        this.popover.innerHTML = '';
+
+        const render = {
+            clock: () => this.renderClockPopover(),
+            battery: () => this.renderBatteryPopover(),
+            wifi: () => this.renderWifiPopover()
+        }[this.openExtra];
+        render();
+    }
+
+    /**
+     * Adds a "Label ... value" row to the popover
+     */
+    addRow(label, value) {
+        const row = document.createElement('div');
+        row.className = 'popover-row';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        const text = document.createElement('span');
+        text.className = 'popover-value';
+        text.textContent = value;
+
+        row.appendChild(name);
+        row.appendChild(text);
+        this.popover.appendChild(row);
+    }
+
+    addHeading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'popover-heading';
+        heading.textContent = text;
+        this.popover.appendChild(heading);
+    }
+
+    addNote(text) {
+        const note = document.createElement('div');
+        note.className = 'popover-note';
+        note.textContent = text;
+        this.popover.appendChild(note);
+    }
+
+    renderBatteryPopover() {
+        this.addHeading('Battery');
+
+        const battery = this.battery;
+        if (!battery) {
+            this.addNote('Battery status isn\'t available in this browser.');
+            return;
+        }
+
+        this.addRow('Charge', `${Math.round(battery.level * 100)}%`);
+        this.addRow('Power Source', battery.charging ? 'Power Adapter' : 'Battery');
+
+        const remaining = battery.charging
+            ? this.formatDuration(battery.chargingTime)
+            : this.formatDuration(battery.dischargingTime);
+        if (battery.charging && battery.level >= 1) {
+            this.addRow('Status', 'Fully Charged');
+        } else if (remaining) {
+            this.addRow(battery.charging ? 'Until Full' : 'Time Remaining', remaining);
+        } else {
+            this.addRow('Status', battery.charging ? 'Charging' : 'Calculating…');
+        }
+    }
+
+    renderWifiPopover() {
+        this.addHeading('Wi-Fi');
+
+        if (navigator.onLine === undefined) {
+            this.addNote('Network status isn\'t available in this browser.');
+            return;
+        }
+
+        this.addRow('Status', this.isOnline() ? 'Connected' : 'Not Connected');
+
+        const connection = navigator.connection;
+        if (connection && this.isOnline()) {
+            if (connection.effectiveType) {
+                this.addRow('Connection', connection.effectiveType.toUpperCase());
+            }
+            if (connection.downlink) {
+                this.addRow('Speed', `${connection.downlink} Mb/s`);
+            }
+            if (connection.rtt) {
+                this.addRow('Latency', `${connection.rtt} ms`);
+            }
+        }
+
+        if (!this.isOnline()) {
+            this.addNote('The desktop keeps working offline. Web pages may not load until you reconnect.');
+        }
+    }
+
+    // ========================================
+    // CALENDAR
+    // ========================================
+
+    startOfMonth(date) {
+        return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+
+    /**
+     * Shows another month in the calendar (step is -1 or 1; 0 goes back to today)
+     */
+    changeMonth(step) {
+        const month = this.calendarMonth;
+        this.calendarMonth = step === 0
+            ? this.startOfMonth(new Date())
+            : new Date(month.getFullYear(), month.getMonth() + step, 1);
+        this.renderPopover();
+    }
+
+    renderClockPopover() {
+        const now = new Date();
+        this.addHeading(now.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }));
+
+        const month = this.calendarMonth;
+        const calendar = document.createElement('div');
+        calendar.className = 'calendar';
+
+        const header = document.createElement('div');
+        header.className = 'calendar-header';
+        header.innerHTML = `
+            <button type="button" class="calendar-nav" data-step="-1" aria-label="Previous month">‹</button>
+            <span class="calendar-title"></span>
+            <button type="button" class="calendar-nav" data-step="0">Today</button>
+            <button type="button" class="calendar-nav" data-step="1" aria-label="Next month">›</button>
+        `;
+        header.querySelector('.calendar-title').textContent = month.toLocaleDateString([], { month: 'long', year: 'numeric' });
+        header.querySelectorAll('.calendar-nav').forEach(button => {
+            button.addEventListener('click', () => this.changeMonth(Number(button.dataset.step)));
+        });
+        calendar.appendChild(header);
+
+        const grid = document.createElement('div');
+        grid.className = 'calendar-grid';
+        grid.setAttribute('role', 'grid');
+
+        // Weekday names in the user's language, Sunday first (Jan 4 1970 was a Sunday)
+        for (let day = 0; day < 7; day++) {
+            const name = document.createElement('span');
+            name.className = 'calendar-weekday';
+            name.textContent = new Date(1970, 0, 4 + day).toLocaleDateString([], { weekday: 'narrow' });
+            grid.appendChild(name);
+        }
+
+        // Blank cells up to the first weekday of the month
+        for (let i = 0; i < month.getDay(); i++) {
+            grid.appendChild(document.createElement('span'));
+        }
+
+        const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const cell = document.createElement('span');
+            cell.className = 'calendar-day';
+            cell.textContent = day;
+
+            const date = new Date(month.getFullYear(), month.getMonth(), day);
+            if (date.toDateString() === now.toDateString()) {
+                cell.classList.add('today');
+                cell.setAttribute('aria-current', 'date');
+            }
+            grid.appendChild(cell);
+        }
+
+        calendar.appendChild(grid);
+        this.popover.appendChild(calendar);
+
+        const options = document.createElement('div');
+        options.className = 'popover-options';
+        [
+            ['24-Hour Time', !this.clock.hour12, (checked) => this.setClockFormat({ hour12: !checked })],
+            ['Show Seconds', this.clock.showSeconds, (checked) => this.setClockFormat({ showSeconds: checked })]
+        ].forEach(([label, checked, onChange]) => {
+            const option = document.createElement('label');
+            option.className = 'popover-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = checked;
+            checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(label));
+            options.appendChild(option);
+        });
+        this.popover.appendChild(options);
+    }
+}
+
+// Create global instance
+window.menuExtras = new MenuExtras();
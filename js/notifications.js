@@ -0,0 +1,288 @@
+// ========================================
+// NOTIFICATIONS
+// Stacked toasts that fade on their own, plus a notification center with the history
+// Dependencies: none (spotlight.js optional, for the "Notification Center" command)
+// ========================================
+
+class NotificationCenter {
+    constructor() {
+        this.stack = null;
+        this.panel = null;
+        this.button = document.getElementById('notificationButton');
+        this.isPanelOpen = false;
+
+        // Newest last: { id, title, message, icon, type, actions, time, read }
+        this.history = [];
+        this.maxHistory = 50;
+        this.nextId = 1;
+
+        // How long toasts stay up (errors stay longer)
+        this.durations = { info: 5000, success: 4000, error: 8000 };
+        this.maxVisible = 4;
+
+        this.init();
+    }
+
+    init() {
+        this.stack = document.createElement('div');
+        this.stack.className = 'toast-stack';
+        this.stack.setAttribute('role', 'region');
+        this.stack.setAttribute('aria-label', 'Notifications');
+        document.body.appendChild(this.stack);
+
+        if (this.button) {
+            this.button.setAttribute('role', 'button');
+            this.button.setAttribute('aria-label', 'Notification Center');
+            this.button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.togglePanel();
+            });
+        }
+
+        document.addEventListener('click', (e) => {
+            if (this.isPanelOpen && !e.target.closest('.notification-panel')) {
+                this.closePanel();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (this.isPanelOpen && e.key === 'Escape') {
+                this.closePanel();
+            }
+        });
+
+        if (window.spotlight) {
+            window.spotlight.registerCommand({
+                title: 'Notification Center',
+                icon: '🔔',
+                keywords: ['notifications', 'history', 'alerts'],
+                action: () => this.openPanel()
+            });
+        }
+
+        console.log('✓ Notification center initialized');
+    }
+
+    // ========================================
+    // TOASTS
+    // ========================================
+
+    /**
+     * Shows a toast and keeps it in the history.
+     * options: { title, message, icon, type ('info' | 'success' | 'error'),
+     *            actions: [{ label, action }], duration (ms, 0 stays until closed) }
+     * Returns the notification's id.
+     */
+    notify({ title, message = '', icon, type = 'info', actions = [], duration }) {
+        const notification = {
+            id: this.nextId++,
+            title,
+            message,
+            icon: icon || { info: 'ℹ️', success: '✅', error: '⚠️' }[type] || 'ℹ️',
+            type,
+            actions,
+            time: new Date(),
+            read: false
+        };
+
+        this.history.push(notification);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+
+        this.showToast(notification, duration !== undefined ? duration : this.durations[type]);
+        this.updateBadge();
+        this.renderPanel();
+
+        return notification.id;
+    }
+
+    showToast(notification, duration) {
+        const toast = this.buildCard(notification, 'toast');
+        toast.setAttribute('role', notification.type === 'error' ? 'alert' : 'status');
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.textContent = '×';
+        close.addEventListener('click', () => this.dismiss(notification.id));
+        toast.appendChild(close);
+
+        this.stack.appendChild(toast);
+
+        // Oldest toasts make room for new ones
+        const toasts = this.stack.querySelectorAll('.toast:not(.leaving)');
+        if (toasts.length > this.maxVisible) {
+            this.dismiss(Number(toasts[0].dataset.notificationId));
+        }
+
+        if (duration > 0) {
+            // Hovering keeps a toast up so its actions can be reached
+            let timer = setTimeout(() => this.dismiss(notification.id), duration);
+            toast.addEventListener('mouseenter', () => clearTimeout(timer));
+            toast.addEventListener('mouseleave', () => {
+                timer = setTimeout(() => this.dismiss(notification.id), 2000);
+            });
+        }
+    }
+
+    /**
+     * Removes a toast from the screen (it stays in the history)
+     */
+    dismiss(notificationId) {
+        const toast = this.stack.querySelector(`.toast[data-notification-id="${notificationId}"]`);
+        if (!toast || toast.classList.contains('leaving')) return;
+
+        toast.classList.add('leaving');
+        setTimeout(() => toast.remove(), 250);
+    }
+
+    /**
+     * Builds the card shared by toasts and the notification center
+     */
+    buildCard(notification, className) {
+        const card = document.createElement('div');
+        card.className = `${className} ${className}-${notification.type}`;
+        card.dataset.notificationId = notification.id;
+
+        const icon = document.createElement('div');
+        icon.className = 'notification-icon';
+        icon.textContent = notification.icon;
+
+        const body = document.createElement('div');
+        body.className = 'notification-body';
+
+        const title = document.createElement('div');
+        title.className = 'notification-title';
+        title.textContent = notification.title;
+        body.appendChild(title);
+
+        if (notification.message) {
+            const message = document.createElement('div');
+            message.className = 'notification-message';
+            message.textContent = notification.message;
+            body.appendChild(message);
+        }
+
+        if (notification.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+            notification.actions.forEach(({ label, action }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'notification-action';
+                button.textContent = label;
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.dismiss(notification.id);
+                    this.closePanel();
+                    action();
+                });
+                actions.appendChild(button);
+            });
+            body.appendChild(actions);
+        }
+
+        card.appendChild(icon);
+        card.appendChild(body);
+        return card;
+    }
+
+    // ========================================
+    // NOTIFICATION CENTER
+    // ========================================
+
+    togglePanel() {
+        if (this.isPanelOpen) {
+            this.closePanel();
+        } else {
+            this.openPanel();
+        }
+    }
+
+    openPanel() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.className = 'notification-panel';
+            this.panel.setAttribute('role', 'dialog');
+            this.panel.setAttribute('aria-label', 'Notification Center');
+            document.body.appendChild(this.panel);
+        }
+
+        this.isPanelOpen = true;
+        this.history.forEach(notification => {
+            notification.read = true;
+        });
+        this.renderPanel();
+        this.updateBadge();
+        this.panel.classList.add('active');
+    }
+
+    closePanel() {
+        if (!this.isPanelOpen) return;
+
+        this.isPanelOpen = false;
+        this.panel.classList.remove('active');
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.renderPanel();
+        this.updateBadge();
+    }
+
+    renderPanel() {
+        if (!this.panel) return;
+
+        this.panel.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'notification-panel-header';
+        header.innerHTML = '<span>Notifications</span>';
+
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'notification-clear';
+        clear.textContent = 'Clear All';
+        clear.disabled = this.history.length === 0;
+        clear.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.clearHistory();
+        });
+        header.appendChild(clear);
+        this.panel.appendChild(header);
+
+        if (this.history.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'notification-empty';
+            empty.textContent = 'No Notifications';
+            this.panel.appendChild(empty);
+            return;
+        }
+
+        this.history.slice().reverse().forEach(notification => {
+            const card = this.buildCard(notification, 'notification-entry');
+
+            const time = document.createElement('div');
+            time.className = 'notification-time';
+            time.textContent = notification.time.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            card.appendChild(time);
+
+            this.panel.appendChild(card);
+        });
+    }
+
+    /**
+     * Shows how many notifications arrived since the center was last opened
+     */
+    updateBadge() {
+        if (!this.button) return;
+
+        const unread = this.history.filter(notification => !notification.read).length;
+        this.button.classList.toggle('has-unread', unread > 0);
+        this.button.dataset.unread = unread > 9 ? '9+' : String(unread);
+    }
+}
+
+// Create global instance
+window.notifications = new NotificationCenter();
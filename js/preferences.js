@@ -0,0 +1,398 @@
+// ========================================
+// SYSTEM PREFERENCES
+// A window for editing the settings store, one pane per area
+// Dependencies: windowManager.js, settings.js,
+//               menuBar.js and spotlight.js (optional, for its menus and searchable panes),
+//               desktop.js and apps.js (optional, for wallpapers and Gallery drawings)
+// ========================================
+
+class Preferences {
+    constructor(windowManager, settings) {
+        this.windowManager = windowManager;
+        this.settings = settings;
+        this.windowId = 'preferencesWindow';
+
+        // Sidebar panes; prefix is the group of settings "Restore Defaults" resets
+        this.panes = [
+            { id: 'desktop', name: 'Desktop', icon: '🖼️', prefix: 'desktop.', keywords: ['wallpaper', 'background', 'picture'] },
+            { id: 'appearance', name: 'Appearance', icon: '🎨', prefix: 'appearance.', keywords: ['theme', 'drawn', 'drawing mode'] },
+            { id: 'dock', name: 'Dock', icon: '⚓', prefix: 'dock.', keywords: ['magnification', 'icon size'] },
+            { id: 'startup', name: 'Startup', icon: '☁️', prefix: 'intro.', keywords: ['intro', 'splash'] },
+            { id: 'clock', name: 'Date & Time', icon: '🕐', prefix: 'clock.', keywords: ['clock', '24-hour', 'seconds'] },
+            { id: 'notepad', name: 'Notepad', icon: '✏️', prefix: 'notepad.', keywords: ['pen', 'color', 'brush size'] },
+            { id: 'camera', name: 'Camera', icon: '📷', prefix: 'camera.', keywords: ['resolution', 'mirror', 'webcam'] }
+        ];
+        this.currentPane = 'desktop';
+
+        // Setting key -> how its slider's value is shown, e.g. '48 px'
+        this.formats = new Map();
+
+        this.init();
+    }
+
+    init() {
+        if (!this.windowManager || !this.settings) return;
+
+        // Controls follow changes made elsewhere (the clock popover, Cmd+D, the Gallery)
+        this.settings.on('*', () => this.syncControls());
+
+        if (window.menuBar) {
+            window.menuBar.registerApp('preferences', {
+                name: 'System Preferences',
+                menus: () => ({
+                    View: this.panes.map(pane => ({
+                        label: pane.name,
+                        checked: pane.id === this.currentPane,
+                        action: () => this.showPane(pane.id)
+                    }))
+                })
+            });
+        }
+
+        if (window.spotlight) {
+            window.spotlight.registerProvider('System Preferences', () => this.panes.map(pane => ({
+                title: pane.name,
+                subtitle: 'System Preferences',
+                icon: pane.icon,
+                keywords: pane.keywords,
+                action: () => this.open(pane.id)
+            })));
+        }
+
+        console.log('✓ Preferences initialized');
+    }
+
+    // ========================================
+    // WINDOW
+    // ========================================
+
+    /**
+     * Opens (or focuses) the Preferences window, optionally at a pane
+     */
+    open(paneId) {
+        if (!document.getElementById(this.windowId)) {
+            this.windowManager.createWindow({
+                id: this.windowId,
+                title: 'System Preferences',
+                icon: '⚙️',
+                content: this.buildWindowContent(),
+                contentClassName: 'preferences-content',
+                width: 560,
+                height: 420,
+                minWidth: 460,
+                minHeight: 320
+            });
+            document.getElementById(this.windowId).dataset.app = 'preferences';
+        }
+
+        this.showPane(paneId || this.currentPane);
+        this.windowManager.focus(this.windowId);
+    }
+
+    buildWindowContent() {
+        const content = document.createElement('div');
+        content.className = 'preferences-layout';
+
+        const sidebar = document.createElement('nav');
+        sidebar.className = 'preferences-sidebar';
+        sidebar.setAttribute('aria-label', 'Preference panes');
+
+        this.panes.forEach(pane => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'preferences-tab';
+            button.dataset.pane = pane.id;
+            button.innerHTML = '<span class="preferences-tab-icon"></span><span></span>';
+            button.firstChild.textContent = pane.icon;
+            button.lastChild.textContent = pane.name;
+            button.addEventListener('click', () => this.showPane(pane.id));
+            sidebar.appendChild(button);
+        });
+
+        const panel = document.createElement('section');
+        panel.className = 'preferences-pane';
+
+        content.appendChild(sidebar);
+        content.appendChild(panel);
+        return content;
+    }
+
+    showPane(paneId) {
+        const pane = this.panes.find(p => p.id === paneId);
+        const windowEl = document.getElementById(this.windowId);
+        if (!pane || !windowEl) return;
+
+        this.currentPane = pane.id;
+
+        windowEl.querySelectorAll('.preferences-tab').forEach(tab => {
+            const selected = tab.dataset.pane === pane.id;
+            tab.classList.toggle('selected', selected);
+            tab.setAttribute('aria-current', selected ? 'page' : 'false');
+        });
+
+        const panel = windowEl.querySelector('.preferences-pane');
+        panel.innerHTML = '';
+
+        const heading = document.createElement('h2');
+        heading.className = 'preferences-heading';
+        heading.textContent = pane.name;
+        panel.appendChild(heading);
+
+        const build = {
+            desktop: () => this.buildDesktopPane(panel),
+            appearance: () => this.buildAppearancePane(panel),
+            dock: () => this.buildDockPane(panel),
+            startup: () => this.buildStartupPane(panel),
+            clock: () => this.buildClockPane(panel),
+            notepad: () => this.buildNotepadPane(panel),
+            camera: () => this.buildCameraPane(panel)
+        }[pane.id];
+        build();
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'app-button preferences-reset';
+        reset.textContent = 'Restore Defaults';
+        reset.addEventListener('click', () => this.settings.reset(pane.prefix));
+        panel.appendChild(reset);
+
+        this.syncControls();
+    }
+
+    // ========================================
+    // PANES
+    // ========================================
+
+    buildDesktopPane(panel) {
+        const desktopManager = window.desktopManager;
+        const wallpapers = desktopManager ? desktopManager.wallpapers : [];
+
+        const grid = document.createElement('div');
+        grid.className = 'wallpaper-grid';
+        wallpapers.forEach(wallpaper => {
+            grid.appendChild(this.createWallpaperSwatch(wallpaper.id, wallpaper.name, () => desktopManager.setWallpaper(wallpaper.id)));
+        });
+        panel.appendChild(grid);
+
+        // Any drawing in the Gallery can be the wallpaper too
+        const label = document.createElement('div');
+        label.className = 'preferences-label';
+        label.textContent = 'From the Gallery';
+        panel.appendChild(label);
+
+        const drawings = window.desktopApps ? window.desktopApps.drawings : [];
+        if (drawings.length === 0) {
+            this.addNote(panel, 'Drawings you submit from Notepad can be used as the wallpaper.');
+            return;
+        }
+
+        const gallery = document.createElement('div');
+        gallery.className = 'wallpaper-grid';
+        drawings.forEach(drawing => {
+            const swatch = this.createWallpaperSwatch('drawing', drawing.timestamp, () => desktopManager.setWallpaperImage(drawing.dataURL));
+            swatch.dataset.image = drawing.dataURL;
+            swatch.style.backgroundImage = `url("${drawing.dataURL}")`;
+            gallery.appendChild(swatch);
+        });
+        panel.appendChild(gallery);
+    }
+
+    createWallpaperSwatch(wallpaperId, name, choose) {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        // The desktop's wallpaper classes double as the preview
+        swatch.className = `wallpaper-swatch wallpaper-${wallpaperId}`;
+        swatch.dataset.wallpaper = wallpaperId;
+        swatch.title = name;
+        swatch.setAttribute('aria-label', name);
+        swatch.addEventListener('click', choose);
+        return swatch;
+    }
+
+    buildAppearancePane(panel) {
+        this.addCheckbox(panel, 'appearance.drawnMode', 'Drawn mode (hand-drawn desktop)');
+        this.addNote(panel, 'Drawn mode freezes everything except Camera, Notepad and Gallery. Press ⌘D to switch back.');
+    }
+
+    buildDockPane(panel) {
+        this.addRange(panel, 'dock.iconSize', 'Icon size', { min: 32, max: 72, step: 4, format: value => `${value} px` });
+        this.addCheckbox(panel, 'dock.magnification', 'Magnify icons under the pointer');
+        this.addRange(panel, 'dock.magnifiedScale', 'Magnified size', {
+            min: 1.1,
+            max: 2,
+            step: 0.1,
+            format: value => `${Math.round(value * 100)}%`,
+            enabledWhen: 'dock.magnification'
+        });
+    }
+
+    buildStartupPane(panel) {
+        this.addCheckbox(panel, 'intro.enabled', 'Show the intro when the desktop loads');
+        this.addSelect(panel, 'intro.duration', 'Intro length', [
+            [1500, 'Short (1.5 seconds)'],
+            [3000, 'Normal (3 seconds)'],
+            [5000, 'Long (5 seconds)']
+        ], { enabledWhen: 'intro.enabled' });
+    }
+
+    buildClockPane(panel) {
+        this.addCheckbox(panel, 'clock.hour12', '12-hour clock (AM/PM)');
+        this.addCheckbox(panel, 'clock.showSeconds', 'Show seconds');
+    }
+
+    buildNotepadPane(panel) {
+        this.addColor(panel, 'notepad.penColor', 'Default pen color');
+        this.addRange(panel, 'notepad.penSize', 'Default pen size', { min: 1, max: 20, step: 1, format: value => `${value} px` });
+        this.addNote(panel, 'New Notepad windows start with this pen.');
+    }
+
+    buildCameraPane(panel) {
+        this.addSelect(panel, 'camera.resolution', 'Resolution', [
+            ['320x240', 'Low (320 × 240)'],
+            ['640x480', 'Standard (640 × 480)'],
+            ['1280x720', 'HD (1280 × 720)'],
+            ['1920x1080', 'Full HD (1920 × 1080)']
+        ]);
+        this.addCheckbox(panel, 'camera.mirror', 'Mirror the picture');
+        this.addNote(panel, 'Cameras ask for the closest resolution the device supports.');
+    }
+
+    // ========================================
+    // CONTROLS
+    // Each control carries data-setting and is kept current by syncControls()
+    // ========================================
+
+    addRow(panel, label, control, { enabledWhen } = {}) {
+        const row = document.createElement('label');
+        row.className = 'preferences-row';
+        if (enabledWhen) {
+            row.dataset.enabledWhen = enabledWhen;
+        }
+
+        const text = document.createElement('span');
+        text.className = 'preferences-row-label';
+        text.textContent = label;
+
+        row.appendChild(text);
+        row.appendChild(control);
+        panel.appendChild(row);
+        return row;
+    }
+
+    addCheckbox(panel, key, label) {
+        const row = document.createElement('label');
+        row.className = 'preferences-row preferences-check';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.setting = key;
+        input.addEventListener('change', () => this.settings.set(key, input.checked));
+
+        row.appendChild(input);
+        row.appendChild(document.createTextNode(label));
+        panel.appendChild(row);
+    }
+
+    addRange(panel, key, label, { min, max, step, format, enabledWhen }) {
+        const control = document.createElement('span');
+        control.className = 'preferences-range';
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.dataset.setting = key;
+
+        const output = document.createElement('output');
+        input.addEventListener('input', () => {
+            // Rounded so 0.1 steps don't store 1.2000000000000002
+            this.settings.set(key, Math.round(Number(input.value) * 100) / 100);
+        });
+
+        control.appendChild(input);
+        control.appendChild(output);
+        this.addRow(panel, label, control, { enabledWhen });
+        this.formats.set(key, format);
+    }
+
+    addSelect(panel, key, label, options, { enabledWhen } = {}) {
+        const select = document.createElement('select');
+        select.dataset.setting = key;
+
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+
+        // Options keep the setting's type (numbers stay numbers)
+        select.addEventListener('change', () => {
+            const [value] = options[select.selectedIndex];
+            this.settings.set(key, value);
+        });
+
+        this.addRow(panel, label, select, { enabledWhen });
+    }
+
+    addColor(panel, key, label) {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.dataset.setting = key;
+        input.addEventListener('input', () => this.settings.set(key, input.value));
+
+        this.addRow(panel, label, input);
+    }
+
+    addNote(panel, text) {
+        const note = document.createElement('p');
+        note.className = 'preferences-note';
+        note.textContent = text;
+        panel.appendChild(note);
+    }
+
+    /**
+     * Shows the current settings in the open pane's controls
+     */
+    syncControls() {
+        const windowEl = document.getElementById(this.windowId);
+        if (!windowEl) return;
+
+        windowEl.querySelectorAll('[data-setting]').forEach(input => {
+            const value = this.settings.get(input.dataset.setting);
+
+            if (input.type === 'checkbox') {
+                input.checked = !!value;
+            } else if (document.activeElement !== input || input.type !== 'range') {
+                input.value = String(value);
+            }
+
+            const output = input.parentElement.querySelector('output');
+            if (output && this.formats.has(input.dataset.setting)) {
+                output.textContent = this.formats.get(input.dataset.setting)(value);
+            }
+        });
+
+        windowEl.querySelectorAll('[data-enabled-when]').forEach(row => {
+            const enabled = !!this.settings.get(row.dataset.enabledWhen);
+            row.classList.toggle('disabled', !enabled);
+            row.querySelectorAll('input, select').forEach(input => {
+                input.disabled = !enabled;
+            });
+        });
+
+        // The chosen wallpaper (and, for drawings, the chosen image) is outlined
+        const wallpaper = this.settings.get('desktop.wallpaper');
+        const image = this.settings.get('desktop.wallpaperImage');
+        windowEl.querySelectorAll('.wallpaper-swatch').forEach(swatch => {
+            const selected = swatch.dataset.wallpaper === wallpaper &&
+                (wallpaper !== 'drawing' || swatch.dataset.image === image);
+            swatch.classList.toggle('selected', selected);
+            swatch.setAttribute('aria-pressed', String(selected));
+        });
+    }
+}
+
+// Create global instance
+window.preferences = new Preferences(window.windowManager, window.settings);
@@ -0,0 +1,62 @@
+// ========================================
+// SESSION STORE
+// Persists desktop state (window layout, etc.) in localStorage
+// Each module reads and writes its own named section
+// ========================================
+
+class SessionStore {
+    constructor() {
+        this.storageKey = 'desktopSession';
+        this.version = 1;
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+
+            // Ignore sessions written by an incompatible version
+            if (saved && saved.version === this.version) {
+                return saved;
+            }
+        } catch (e) {
+            console.warn('Could not load desktop session:', e);
+        }
+
+        return { version: this.version };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('Could not save desktop session:', e);
+        }
+    }
+
+    /**
+     * Returns a saved section (e.g. 'windows'), or null if there is none
+     */
+    get(section) {
+        return this.data[section] !== undefined ? this.data[section] : null;
+    }
+
+    /**
+     * Replaces a section and writes the session to localStorage
+     */
+    set(section, value) {
+        this.data[section] = value;
+        this.save();
+    }
+
+    /**
+     * Removes a section and writes the session to localStorage
+     */
+    remove(section) {
+        delete this.data[section];
+        this.save();
+    }
+}
+
+// Create global instance
+window.sessionStore = new SessionStore();
@@ -0,0 +1,170 @@
+// ========================================
+// SETTINGS
+// Versioned user preferences in localStorage, read by every module
+// and edited in the Preferences app
+// Dependencies: none (loads first so everything else can read it)
+// ========================================
+
+class SettingsStore {
+    constructor() {
+        this.storageKey = 'desktopSettings';
+        this.version = 1;
+
+        // Every setting and its default. Keys are '<area>.<name>'.
+        this.defaults = {
+            'desktop.wallpaper': 'paper',      // a wallpaper id from desktop.js, or 'drawing'
+            'desktop.wallpaperImage': null,    // data URL of the drawing used as wallpaper
+            'appearance.drawnMode': false,
+            'dock.iconSize': 48,
+            'dock.magnification': true,
+            'dock.magnifiedScale': 1.5,
+            'intro.enabled': true,
+            'intro.duration': 3000,
+            'clock.hour12': true,
+            'clock.showSeconds': false,
+            'notepad.penColor': '#000000',
+            'notepad.penSize': 3,
+            'camera.resolution': '640x480',
+            'camera.mirror': false
+        };
+
+        // Upgrades stored values from older versions: version -> values => values.
+        // Add an entry (and bump this.version) when a key is renamed or changes meaning.
+        this.migrations = {};
+
+        // Key (or '*') -> Set of callbacks(value, key)
+        this.listeners = new Map();
+
+        this.values = this.load();
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('Could not load settings:', e);
+        }
+
+        if (!saved || typeof saved.values !== 'object' || saved.values === null) {
+            return this.importLegacy();
+        }
+
+        let { version, values } = saved;
+        while (version < this.version && this.migrations[version]) {
+            values = this.migrations[version](values);
+            version++;
+        }
+
+        // Settings from a newer (or unknown) version start over rather than misbehave
+        if (version !== this.version) {
+            return {};
+        }
+
+        return values;
+    }
+
+    /**
+     * Picks up preferences saved before there was a settings store
+     */
+    importLegacy() {
+        const values = {};
+
+        try {
+            const drawingMode = localStorage.getItem('drawingMode');
+            if (drawingMode) {
+                values['appearance.drawnMode'] = drawingMode === 'enabled';
+
+                // Write the new key before dropping the old one, so the choice survives a reload
+                this.values = values;
+                this.save();
+                localStorage.removeItem('drawingMode');
+            }
+        } catch (e) {
+            console.warn('Could not import old preferences:', e);
+        }
+
+        return values;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                values: this.values
+            }));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
+
+    /**
+     * Returns a setting, or its default if the user never changed it
+     */
+    get(key) {
+        if (!(key in this.defaults)) {
+            console.warn('Unknown setting:', key);
+        }
+        return key in this.values ? this.values[key] : this.defaults[key];
+    }
+
+    /**
+     * Changes a setting, saves, and tells its listeners
+     */
+    set(key, value) {
+        if (!(key in this.defaults)) {
+            console.warn('Unknown setting:', key);
+            return;
+        }
+        if (this.get(key) === value) return;
+
+        if (value === this.defaults[key]) {
+            delete this.values[key];
+        } else {
+            this.values[key] = value;
+        }
+        this.save();
+        this.emit(key, value);
+    }
+
+    /**
+     * Puts settings back to their defaults: every setting, or only those
+     * starting with a prefix (e.g. 'dock.')
+     */
+    reset(prefix = '') {
+        Object.keys(this.defaults)
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.set(key, this.defaults[key]));
+    }
+
+    /**
+     * Calls fn(value, key) when a setting changes; key '*' hears every change.
+     * Returns a function that removes the listener.
+     */
+    on(key, fn) {
+        if (!this.listeners.has(key)) {
+            this.listeners.set(key, new Set());
+        }
+        this.listeners.get(key).add(fn);
+
+        return () => this.listeners.get(key).delete(fn);
+    }
+
+    emit(key, value) {
+        [key, '*'].forEach(name => {
+            const listeners = this.listeners.get(name);
+            if (!listeners) return;
+
+            listeners.forEach(fn => {
+                try {
+                    fn(value, key);
+                } catch (err) {
+                    console.error(`Settings listener for ${key} failed:`, err);
+                }
+            });
+        });
+    }
+}
+
+// Create global instance
+window.settings = new SettingsStore();
@@ -0,0 +1,496 @@
+// ========================================
+// SPOTLIGHT
+// Cmd/Ctrl+Space search over apps, commands, drawings and browser pages
+// Dependencies: menuBar.js (its menus become commands), dock.js (optional, for apps)
+// ========================================
+
+class Spotlight {
+    constructor() {
+        this.overlay = null;
+        this.input = null;
+        this.resultList = null;
+        this.preview = null;
+        this.isOpen = false;
+        this.returnFocusTo = null;
+
+        // Flat list of the results on screen, and the selected one
+        this.results = [];
+        this.selectedIndex = 0;
+
+        // Group name -> () => results; see registerProvider()
+        this.providers = new Map();
+        this.commands = [];
+        this.maxPerGroup = 6;
+
+        this.init();
+    }
+
+    init() {
+        const button = document.getElementById('spotlightButton');
+        if (button) {
+            button.setAttribute('role', 'button');
+            button.setAttribute('aria-label', 'Spotlight Search');
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggle();
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.metaKey || e.ctrlKey) && e.code === 'Space') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+
+        window.addEventListener('blur', () => this.close());
+
+        this.registerProvider('Applications', () => this.getAppResults());
+        this.registerProvider('Commands', () => this.getCommandResults());
+
+        console.log('✓ Spotlight initialized');
+    }
+
+    // ========================================
+    // PROVIDERS & COMMANDS
+    // ========================================
+
+    /**
+     * Adds a group of searchable results. getResults() returns
+     * { title, subtitle, icon, image, detail, keywords, text, url, action } objects and
+     * is called every time the query changes, so results are always current.
+     * url is the drawn:// page a result has in the browser, if any. text is longer
+     * prose (e.g. a page's body) that only the exact searchAll() looks through.
+     * Groups are listed in the order they were registered.
+     */
+    registerProvider(group, getResults) {
+        this.providers.set(group, getResults);
+    }
+
+    /**
+     * Adds a command that is always searchable, whatever window is focused.
+     * command: { title, icon, keywords, shortcut, isAvailable(), action }
+     */
+    registerCommand(command) {
+        this.commands.push(command);
+    }
+
+    getAppResults() {
+        const dock = window.dock;
+        if (!dock) return [];
+
+        const apps = dock.apps.map(app => {
+            const windowCount = dock.getAppWindows(app.id).length;
+            return {
+                title: app.name,
+                subtitle: 'Application',
+                icon: app.icon,
+                detail: windowCount > 0
+                    ? `${windowCount} window${windowCount === 1 ? '' : 's'} open`
+                    : 'Not running',
+                action: () => dock.launch(app.id)
+            };
+        });
+
+        if (window.trash) {
+            apps.push({
+                title: 'Trash',
+                subtitle: 'Folder',
+                icon: '🗑️',
+                detail: `${window.trash.items.length} item${window.trash.items.length === 1 ? '' : 's'}`,
+                action: () => window.trash.open()
+            });
+        }
+
+        return apps;
+    }
+
+    /**
+     * Registered commands plus everything in the menu bar's menus for the
+     * focused app, so commands apps add to their menus show up by themselves
+     */
+    getCommandResults() {
+        const results = this.commands
+            .filter(command => !command.isAvailable || command.isAvailable())
+            .map(command => ({
+                title: command.title,
+                subtitle: 'Command',
+                icon: command.icon || '⚙️',
+                keywords: command.keywords,
+                detail: command.shortcut ? this.formatShortcut(command.shortcut) : '',
+                action: command.action
+            }));
+
+        const menuBar = window.menuBar;
+        if (!menuBar) return results;
+
+        const { app } = menuBar.getFocusedApp();
+        const appName = app ? app.name : 'Finder';
+        const menuNames = { apple: 'Apple Menu', app: appName };
+        // Apps are listed already (the desktop's Go menu launches them too)
+        const seen = new Set([...results, ...this.getAppResults()].map(result => result.title.toLowerCase()));
+
+        menuBar.menuOrder.forEach(menu => {
+            menuBar.getMenuItems(menu).forEach(item => {
+                if (item.separator || item.disabled || !item.action) return;
+                if (seen.has(item.label.toLowerCase())) return;
+                seen.add(item.label.toLowerCase());
+
+                const shortcut = item.shortcut || item.hint;
+                results.push({
+                    title: item.label,
+                    subtitle: `${appName} › ${menuNames[menu] || menu}`,
+                    icon: '⌘',
+                    keywords: item.keywords,
+                    detail: shortcut ? this.formatShortcut(shortcut) : '',
+                    action: item.action
+                });
+            });
+        });
+
+        return results;
+    }
+
+    formatShortcut(shortcut) {
+        return window.menuBar ? window.menuBar.formatShortcut(shortcut) : shortcut;
+    }
+
+    // ========================================
+    // SEARCH
+    // ========================================
+
+    /**
+     * Scores how well text matches a query; null if it doesn't.
+     * Every word of the query has to appear in order (letters may be spread
+     * out), with whole substrings, word starts and runs of letters scoring higher.
+     */
+    fuzzyScore(query, text) {
+        const haystack = text.toLowerCase();
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        let total = 0;
+
+        for (const word of words) {
+            const index = haystack.indexOf(word);
+            if (index !== -1) {
+                const atWordStart = index === 0 || /[^a-z0-9]/.test(haystack[index - 1]);
+                total += word.length * 4 + (atWordStart ? 20 : 0) - Math.min(index, 10);
+                continue;
+            }
+
+            let position = 0;
+            let streak = 0;
+            let score = 0;
+            for (const char of word) {
+                const found = haystack.indexOf(char, position);
+                if (found === -1) return null;
+
+                streak = found === position ? streak + 1 : 0;
+                const atWordStart = found === 0 || /[^a-z0-9]/.test(haystack[found - 1]);
+                score += 1 + streak + (atWordStart ? 3 : 0);
+                position = found + 1;
+            }
+            total += score;
+        }
+
+        return total;
+    }
+
+    /**
+     * Scores a result against the query; null if it doesn't match
+     */
+    scoreResult(query, result) {
+        const text = [result.title, result.subtitle, ...(result.keywords || [])].join(' ');
+        const titleScore = this.fuzzyScore(query, result.title);
+        const score = this.fuzzyScore(query, text);
+        // Title matches beat matches on a date, tag or menu name
+        return score === null ? null : score + (titleScore || 0);
+    }
+
+    /**
+     * Runs every provider against the query: [{ group, results }], best first within a group
+     */
+    search(query) {
+        const groups = [];
+
+        this.providers.forEach((getResults, group) => {
+            let results = getResults();
+
+            if (query.trim()) {
+                results = results
+                    .map(result => ({ result, score: this.scoreResult(query, result) }))
+                    .filter(({ score }) => score !== null)
+                    .sort((a, b) => b.score - a.score)
+                    .map(({ result }) => result);
+            } else if (group !== 'Applications') {
+                // An empty search just lists the apps
+                results = [];
+            }
+
+            if (results.length > 0) {
+                groups.push({ group, results: results.slice(0, this.maxPerGroup) });
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Whether word appears in text at the start of one of its words
+     */
+    startsWord(text, word) {
+        for (let index = text.indexOf(word); index !== -1; index = text.indexOf(word, index + 1)) {
+            if (index === 0 || /[^a-z0-9]/.test(text[index - 1])) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Every match from every provider in one list, best first: [{ group, result }].
+     * With fuzzy off, each word of the query has to start a word of the result's
+     * title, subtitle, keywords, detail or text. The browser's home page search uses this.
+     */
+    searchAll(query, { fuzzy = true } = {}) {
+        if (!query.trim()) return [];
+
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = [];
+        this.providers.forEach((getResults, group) => {
+            getResults().forEach(result => {
+                let scored = result;
+                if (!fuzzy) {
+                    const text = [result.title, result.subtitle, result.detail, ...(result.keywords || []), result.text].join(' ').toLowerCase();
+                    if (!words.every(word => this.startsWord(text, word))) return;
+
+                    if (result.text) {
+                        scored = { ...result, keywords: [...(result.keywords || []), result.text] };
+                    }
+                }
+
+                const score = this.scoreResult(query, scored);
+                if (score !== null) {
+                    matches.push({ group, result, score });
+                }
+            });
+        });
+
+        return matches
+            .sort((a, b) => b.score - a.score)
+            .map(({ group, result }) => ({ group, result }));
+    }
+
+    // ========================================
+    // OVERLAY
+    // ========================================
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        // Nothing to search while the desktop is drawn
+        if (document.body.classList.contains('drawn-mode')) return;
+
+        if (!this.overlay) {
+            this.build();
+        }
+
+        if (window.menuBar) {
+            window.menuBar.close();
+        }
+
+        this.returnFocusTo = document.activeElement;
+        this.isOpen = true;
+        this.overlay.classList.add('active');
+        this.input.value = '';
+        this.update();
+        this.input.focus();
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+
+        const target = this.returnFocusTo;
+        this.returnFocusTo = null;
+        if (restoreFocus && target && target.isConnected && target.focus) {
+            target.focus({ preventScroll: true });
+        }
+    }
+
+    build() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'spotlight-overlay';
+        this.overlay.innerHTML = `
+            <div class="spotlight-panel" role="dialog" aria-label="Spotlight Search">
+                <div class="spotlight-search">
+                    <span class="spotlight-glass">🔍</span>
+                    <input type="text" class="spotlight-input" placeholder="Spotlight Search"
+                        role="combobox" aria-expanded="true" aria-controls="spotlightResults" aria-autocomplete="list">
+                </div>
+                <div class="spotlight-body">
+                    <ul class="spotlight-results" id="spotlightResults" role="listbox"></ul>
+                    <div class="spotlight-preview"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.overlay);
+
+        this.input = this.overlay.querySelector('.spotlight-input');
+        this.resultList = this.overlay.querySelector('.spotlight-results');
+        this.preview = this.overlay.querySelector('.spotlight-preview');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Clicking outside the panel closes it
+        this.overlay.addEventListener('pointerdown', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+    }
+
+    update() {
+        const groups = this.search(this.input.value);
+
+        this.results = [];
+        this.resultList.innerHTML = '';
+
+        groups.forEach(({ group, results }) => {
+            const heading = document.createElement('li');
+            heading.className = 'spotlight-group';
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = group;
+            this.resultList.appendChild(heading);
+
+            results.forEach(result => {
+                const index = this.results.length;
+                this.results.push(result);
+
+                const row = document.createElement('li');
+                row.className = 'spotlight-result';
+                row.id = `spotlightResult-${index}`;
+                row.setAttribute('role', 'option');
+
+                const icon = document.createElement('span');
+                icon.className = 'spotlight-result-icon';
+                icon.textContent = result.icon || '';
+
+                const title = document.createElement('span');
+                title.className = 'spotlight-result-title';
+                title.textContent = result.title;
+
+                const subtitle = document.createElement('span');
+                subtitle.className = 'spotlight-result-subtitle';
+                subtitle.textContent = result.subtitle || '';
+
+                row.appendChild(icon);
+                row.appendChild(title);
+                row.appendChild(subtitle);
+
+                row.addEventListener('mouseenter', () => this.select(index));
+                row.addEventListener('click', () => this.run(index));
+
+                this.resultList.appendChild(row);
+            });
+        });
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'spotlight-empty';
+            empty.textContent = this.input.value.trim() ? 'No results' : '';
+            this.resultList.appendChild(empty);
+        }
+
+        this.select(0);
+    }
+
+    select(index) {
+        this.selectedIndex = index;
+
+        this.resultList.querySelectorAll('.spotlight-result').forEach((row, rowIndex) => {
+            const selected = rowIndex === index;
+            row.classList.toggle('selected', selected);
+            row.setAttribute('aria-selected', String(selected));
+            if (selected && row.scrollIntoView) {
+                row.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        if (this.results[index]) {
+            this.input.setAttribute('aria-activedescendant', `spotlightResult-${index}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+
+        this.renderPreview(this.results[index]);
+    }
+
+    renderPreview(result) {
+        this.preview.innerHTML = '';
+        if (!result) return;
+
+        if (result.image) {
+            const img = document.createElement('img');
+            img.className = 'spotlight-preview-image';
+            img.src = result.image;
+            img.alt = '';
+            this.preview.appendChild(img);
+        } else {
+            const icon = document.createElement('div');
+            icon.className = 'spotlight-preview-icon';
+            icon.textContent = result.icon || '';
+            this.preview.appendChild(icon);
+        }
+
+        const title = document.createElement('div');
+        title.className = 'spotlight-preview-title';
+        title.textContent = result.title;
+        this.preview.appendChild(title);
+
+        [result.subtitle, result.detail].filter(Boolean).forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'spotlight-preview-detail';
+            line.textContent = text;
+            this.preview.appendChild(line);
+        });
+    }
+
+    /**
+     * Closes the overlay, then opens or runs a result
+     */
+    run(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        // The action decides where focus goes (usually into a window)
+        this.close({ restoreFocus: false });
+        result.action();
+    }
+
+    handleKeyDown(e) {
+        const count = this.results.length;
+
+        const handled = {
+            ArrowDown: () => count && this.select((this.selectedIndex + 1) % count),
+            ArrowUp: () => count && this.select((this.selectedIndex - 1 + count) % count),
+            Enter: () => this.run(this.selectedIndex),
+            Escape: () => this.close()
+        }[e.key];
+
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+            handled();
+        }
+    }
+}
+
+// Create global instance
+window.spotlight = new Spotlight();
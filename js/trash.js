@@ -0,0 +1,465 @@
+// ========================================
+// TRASH
+// Holds deleted drawings and desktop items until they're put back or purged
+// Dependencies: windowManager.js, menuBar.js (optional, for the Trash's File menu)
+// ========================================
+
+class Trash {
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.windowId = 'trashWindow';
+
+        // Kept apart from the desktop session so a Trash full of drawings
+        // can't use up the quota the rest of the session needs
+        this.storageKey = 'desktopTrash';
+
+        // { id, kind, name, icon, thumbnail, data, deletedAt }
+        // (drawings have no thumbnail; their preview is data.dataURL)
+        this.items = [];
+
+        // Kind (e.g. 'drawing') -> { moveToTrash(id), restore(item), destroy(item) }
+        this.kinds = new Map();
+
+        // Items older than this are deleted for good (0 keeps them forever)
+        this.retentionDays = 30;
+        this.retentionChoices = [1, 7, 30, 0];
+
+        this.init();
+    }
+
+    init() {
+        this.restoreState();
+
+        // Wait for the modules that register kinds (desktop icons, drawings), so
+        // items that expired while the page was closed get their destroy() call
+        if (document.readyState === 'complete') {
+            this.purgeExpired();
+        } else {
+            window.addEventListener('load', () => this.purgeExpired(), { once: true });
+        }
+
+        // Catch items that expire while the page stays open
+        setInterval(() => this.purgeExpired(), 60 * 60 * 1000);
+
+        this.setupDropTarget();
+
+        if (window.menuBar) {
+            window.menuBar.registerApp('trash', {
+                name: 'Trash',
+                menus: () => ({
+                    File: [
+                        { label: 'Empty Trash…', disabled: this.isEmpty(), action: () => this.empty() }
+                    ]
+                })
+            });
+        }
+
+        console.log('✓ Trash initialized with', this.items.length, 'items');
+    }
+
+    /**
+     * Lets a module put its things in the Trash. moveToTrash(id) is called when
+     * one is dropped on the Trash and should call trash.add(); restore(item)
+     * puts an item back where it came from; destroy(item) (optional) cleans up
+     * after an item is deleted for good.
+     */
+    registerKind(kind, handlers) {
+        this.kinds.set(kind, handlers);
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    // ========================================
+    // ADDING, RESTORING & DELETING
+    // ========================================
+
+    /**
+     * Puts something in the Trash. data is whatever the kind's restore() needs.
+     */
+    add({ kind, name, icon, thumbnail, data }) {
+        const item = {
+            id: `${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            kind,
+            name,
+            icon: icon || '📄',
+            thumbnail: thumbnail || null,
+            data,
+            deletedAt: Date.now()
+        };
+
+        this.items.push(item);
+        this.changed();
+
+        if (window.dock) {
+            window.dock.shakeTrash();
+        }
+
+        return item;
+    }
+
+    /**
+     * Puts an item back where it came from
+     */
+    restore(itemId) {
+        const item = this.items.find(i => i.id === itemId);
+        if (!item) return;
+
+        const kind = this.kinds.get(item.kind);
+        if (!kind) {
+            console.warn('Nothing can restore trashed', item.kind);
+            return;
+        }
+
+        this.items = this.items.filter(i => i !== item);
+        kind.restore(item);
+        this.changed();
+    }
+
+    /**
+     * Deletes an item for good
+     */
+    remove(itemId) {
+        const item = this.items.find(i => i.id === itemId);
+        if (!item) return;
+
+        this.items = this.items.filter(i => i !== item);
+        this.destroy(item);
+        this.changed();
+    }
+
+    destroy(item) {
+        const kind = this.kinds.get(item.kind);
+        if (kind && kind.destroy) {
+            kind.destroy(item);
+        }
+    }
+
+    /**
+     * Deletes everything in the Trash, after asking unless confirm is false
+     */
+    async empty({ confirm = true } = {}) {
+        if (this.isEmpty()) return;
+
+        if (confirm && this.windowManager) {
+            const count = this.items.length;
+            const erase = await this.windowManager.confirm({
+                title: 'Empty Trash',
+                icon: '🗑️',
+                message: `Are you sure you want to permanently erase the ${count === 1 ? 'item' : `${count} items`} in the Trash? You can't undo this.`,
+                confirmLabel: 'Empty Trash',
+                destructive: true
+            });
+            if (!erase) return;
+        }
+
+        const items = this.items;
+        this.items = [];
+        items.forEach(item => this.destroy(item));
+        this.changed();
+    }
+
+    setRetentionDays(days) {
+        this.retentionDays = Math.max(0, Number(days) || 0);
+        this.purgeExpired();
+        this.changed();
+    }
+
+    /**
+     * Deletes items that have been in the Trash longer than retentionDays
+     */
+    purgeExpired() {
+        if (!this.retentionDays) return;
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.items.filter(item => item.deletedAt < cutoff);
+        if (expired.length === 0) return;
+
+        this.items = this.items.filter(item => item.deletedAt >= cutoff);
+        expired.forEach(item => this.destroy(item));
+        this.changed();
+    }
+
+    /**
+     * Saves the contents and refreshes the dock icon and the Trash window
+     */
+    changed() {
+        this.saveState();
+
+        if (window.dock) {
+            window.dock.updateTrashState();
+        }
+        this.render();
+    }
+
+    // ========================================
+    // DROPPING ON THE DOCK ICON
+    // ========================================
+
+    /**
+     * Checks whether a point is over the Trash in the dock (for pointer drags)
+     */
+    isOverTrash(x, y) {
+        const target = document.querySelector('.dock-trash');
+        if (!target) return false;
+
+        const rect = target.getBoundingClientRect();
+        return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    }
+
+    /**
+     * Highlights the Trash while something can be dropped on it
+     */
+    setDropHighlight(active) {
+        const target = document.querySelector('.dock-trash');
+        if (target) {
+            target.classList.toggle('drop-target', active);
+        }
+    }
+
+    /**
+     * Accepts native drags carrying 'application/x-trash-item' ({ kind, id } as JSON),
+     * e.g. drawings dragged out of the Gallery. Delegated because the dock
+     * rebuilds its items.
+     */
+    setupDropTarget() {
+        const carriesItem = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('application/x-trash-item');
+
+        document.addEventListener('dragover', (e) => {
+            const over = e.target.closest && e.target.closest('.dock-trash');
+            if (!over || !carriesItem(e)) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.setDropHighlight(true);
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (e.target.closest && e.target.closest('.dock-trash')) {
+                this.setDropHighlight(false);
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            const over = e.target.closest && e.target.closest('.dock-trash');
+            if (!over || !carriesItem(e)) return;
+
+            e.preventDefault();
+            this.setDropHighlight(false);
+
+            try {
+                const { kind, id } = JSON.parse(e.dataTransfer.getData('application/x-trash-item'));
+                const handlers = this.kinds.get(kind);
+                if (handlers) {
+                    handlers.moveToTrash(id);
+                }
+            } catch (err) {
+                console.warn('Could not read dropped item:', err);
+            }
+        });
+    }
+
+    // ========================================
+    // TRASH WINDOW
+    // ========================================
+
+    /**
+     * Opens (or focuses) the Trash window
+     */
+    open() {
+        if (!this.windowManager) return;
+
+        this.purgeExpired();
+
+        if (!document.getElementById(this.windowId)) {
+            this.windowManager.createWindow({
+                id: this.windowId,
+                title: 'Trash',
+                icon: '🗑️',
+                content: this.buildWindowContent(),
+                contentClassName: 'trash-content',
+                width: 460,
+                height: 380,
+                minWidth: 340,
+                minHeight: 240
+            });
+            document.getElementById(this.windowId).dataset.app = 'trash';
+            this.render();
+        }
+
+        this.windowManager.focus(this.windowId);
+    }
+
+    buildWindowContent() {
+        const content = document.createElement('div');
+        content.className = 'trash-layout';
+        content.innerHTML = `
+            <div class="trash-toolbar">
+                <span class="trash-count"></span>
+                <label class="trash-retention">
+                    Delete after
+                    <select></select>
+                </label>
+                <button type="button" class="app-button" data-action="empty">Empty Trash</button>
+            </div>
+            <ul class="trash-list"></ul>
+        `;
+
+        const select = content.querySelector('.trash-retention select');
+        this.retentionChoices.forEach(days => {
+            const option = document.createElement('option');
+            option.value = days;
+            option.textContent = days === 0 ? 'Never' : `${days} day${days === 1 ? '' : 's'}`;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => this.setRetentionDays(select.value));
+
+        content.querySelector('[data-action="empty"]').addEventListener('click', () => this.empty());
+
+        content.querySelector('.trash-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const row = e.target.closest('.trash-item');
+            if (!button || !row) return;
+
+            if (button.dataset.action === 'restore') {
+                this.restore(row.dataset.itemId);
+            } else if (button.dataset.action === 'delete') {
+                this.remove(row.dataset.itemId);
+            }
+        });
+
+        return content;
+    }
+
+    /**
+     * Fills the Trash window (if it exists) with the current items, newest first
+     */
+    render() {
+        const windowEl = document.getElementById(this.windowId);
+        if (!windowEl) return;
+
+        const count = this.items.length;
+        windowEl.querySelector('.trash-count').textContent = count === 0
+            ? 'Trash is empty'
+            : `${count} item${count === 1 ? '' : 's'}`;
+        windowEl.querySelector('[data-action="empty"]').disabled = count === 0;
+
+        // Options for custom values (e.g. set from code) are added on the fly
+        const select = windowEl.querySelector('.trash-retention select');
+        if (!this.retentionChoices.includes(this.retentionDays)) {
+            const option = document.createElement('option');
+            option.value = this.retentionDays;
+            option.textContent = `${this.retentionDays} days`;
+            select.appendChild(option);
+        }
+        select.value = String(this.retentionDays);
+
+        const list = windowEl.querySelector('.trash-list');
+        list.innerHTML = '';
+
+        this.items
+            .slice()
+            .sort((a, b) => b.deletedAt - a.deletedAt)
+            .forEach(item => {
+                const row = document.createElement('li');
+                row.className = 'trash-item';
+                row.dataset.itemId = item.id;
+
+                const preview = document.createElement('div');
+                preview.className = 'trash-preview';
+                const thumbnail = this.getThumbnail(item);
+                if (thumbnail) {
+                    const img = document.createElement('img');
+                    img.src = thumbnail;
+                    img.alt = '';
+                    preview.appendChild(img);
+                } else {
+                    preview.textContent = item.icon;
+                }
+
+                const details = document.createElement('div');
+                details.className = 'trash-details';
+
+                const name = document.createElement('div');
+                name.className = 'trash-name';
+                name.textContent = item.name;
+
+                const deleted = document.createElement('div');
+                deleted.className = 'trash-date';
+                deleted.textContent = this.describeAge(item);
+
+                details.appendChild(name);
+                details.appendChild(deleted);
+
+                const actions = document.createElement('div');
+                actions.className = 'trash-actions';
+                actions.innerHTML = `
+                    <button type="button" class="app-button" data-action="restore">Put Back</button>
+                    <button type="button" class="app-button" data-action="delete">Delete</button>
+                `;
+
+                row.appendChild(preview);
+                row.appendChild(details);
+                row.appendChild(actions);
+                list.appendChild(row);
+            });
+    }
+
+    getThumbnail(item) {
+        if (item.thumbnail) return item.thumbnail;
+        return item.data && item.data.dataURL ? item.data.dataURL : null;
+    }
+
+    /**
+     * "Deleted 3 days ago · removed in 27 days"
+     */
+    describeAge(item) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const age = Math.floor((Date.now() - item.deletedAt) / dayMs);
+        const when = age === 0 ? 'today' : age === 1 ? 'yesterday' : `${age} days ago`;
+
+        if (!this.retentionDays) {
+            return `Deleted ${when}`;
+        }
+
+        const left = Math.max(0, this.retentionDays - age);
+        return `Deleted ${when} · removed in ${left} day${left === 1 ? '' : 's'}`;
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                items: this.items,
+                retentionDays: this.retentionDays
+            }));
+        } catch (e) {
+            console.warn('Could not save the Trash:', e);
+        }
+    }
+
+    restoreState() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('Could not load the Trash:', e);
+        }
+
+        if (!saved) return;
+
+        if (Array.isArray(saved.items)) {
+            this.items = saved.items.filter(item => item && item.id && item.kind);
+        }
+        if (isFinite(saved.retentionDays)) {
+            this.retentionDays = Math.max(0, saved.retentionDays);
+        }
+    }
+}
+
+// Create global instance
+window.trash = new Trash(window.windowManager);
@@ -2,16 +2,48 @@ class WindowManager {
     constructor() {
         this.windows = new Map();
         this.baseZIndex = 100;
-        this.currentZIndex = this.baseZIndex;
+        this.stack = []; // Window ids, back-most first - z-indexes are renumbered from this
         this.activeWindow = null;
+        this.focusedWindowId = null;
         this.isDragging = false;
 
+        // Lifecycle event handlers, keyed by "event:windowId"
+        this.listeners = new Map();
+
+        // Used to name windows created without an id
+        this.createdWindowCount = 0;
+
         // Drag state
         this.dragStartX = 0;
         this.dragStartY = 0;
         this.windowStartX = 0;
         this.windowStartY = 0;
 
+        // Resize state
+        this.isResizing = false;
+        this.resizeEdge = null;
+        this.resizeStart = null;
+        this.resizeEdges = ['n', 'e', 's', 'w', 'ne', 'nw', 'se', 'sw'];
+
+        // Size limits for windows without data-min-*/data-max-* attributes
+        this.defaultMinWidth = 320;
+        this.defaultMinHeight = 240;
+
+        // Snap state
+        this.snapThreshold = 16; // px from a screen edge that triggers snapping
+        this.snapCornerSize = 100; // px along an edge that counts as a corner
+        this.snapZones = ['left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'maximize', 'fullscreen'];
+        this.snapZone = null;
+        this.snapPreview = null;
+
+        // Minimized windows sit above the shelf (z-index 940) while parked
+        this.minimizedZIndex = 950;
+        this.shelf = null;
+
+        // Session state - nothing is saved until the saved layout has been restored
+        this.sessionRestored = false;
+        this.sessionSaveTimer = null;
+
         this.init();
     }
 
@@ -25,6 +57,9 @@ class WindowManager {
 
         // Add window resize listener for responsive centering
         window.addEventListener('resize', () => this.handleResize());
+
+        // Flush any pending layout changes before the page goes away
+        window.addEventListener('beforeunload', () => this.saveSession());
     }
 
     /**
@@ -35,7 +70,16 @@ class WindowManager {
             const windowEl = windowInfo.element;
 
             // Only adjust visible windows
-            if (!windowEl || !windowEl.classList.contains('active')) return;
+            if (!this.isWindowOpen(windowEl) || windowInfo.minimized) return;
+
+            // Snapped and maximized windows follow the new work area
+            if (windowInfo.snapZone && windowInfo.snapZone !== 'tile') {
+                this.setWindowBounds(windowEl, this.getSnapBounds(windowInfo.snapZone));
+                return;
+            }
+
+            // Responsive CSS sizes may have changed the window's size
+            this.emit('resize', windowId);
 
             // Get current position
             const rect = windowEl.getBoundingClientRect();
@@ -47,6 +91,9 @@ class WindowManager {
                 this.centerWindowNow(windowEl);
             }
         });
+
+        // Shelf slots may have moved
+        this.layoutShelf();
     }
 
     initializeWindows() {
@@ -56,8 +103,11 @@ class WindowManager {
         windows.forEach(windowEl => {
             this.setupWindow(windowEl);
             this.makeWindowDraggable(windowEl);
+            this.makeWindowResizable(windowEl);
         });
 
+        this.updateFocusClasses();
+
         console.log(`✓ WindowManager v2.0 initialized with ${windows.length} windows`);
     }
 
@@ -76,11 +126,32 @@ class WindowManager {
             // Keep CSS centering for now, will be converted when opened
         }
 
-        // Store window info
-        this.windows.set(windowEl.id, {
+        this.setupWindowAccessibility(windowEl);
+
+        // Store window info (keeping stacking/minimized state when re-run by a reset)
+        const windowInfo = this.windows.get(windowEl.id) || { zIndex: this.baseZIndex };
+        Object.assign(windowInfo, {
             element: windowEl,
-            zIndex: this.baseZIndex
+            minWidth: this.readSizeAttribute(windowEl, 'minWidth', this.defaultMinWidth),
+            minHeight: this.readSizeAttribute(windowEl, 'minHeight', this.defaultMinHeight),
+            maxWidth: this.readSizeAttribute(windowEl, 'maxWidth', Infinity),
+            maxHeight: this.readSizeAttribute(windowEl, 'maxHeight', Infinity)
         });
+        this.windows.set(windowEl.id, windowInfo);
+
+        // New windows start at the back until they're opened
+        if (!this.stack.includes(windowEl.id)) {
+            this.stack.unshift(windowEl.id);
+            this.applyStackOrder();
+        }
+    }
+
+    /**
+     * Reads a size limit such as data-min-width from a window element
+     */
+    readSizeAttribute(windowEl, key, fallback) {
+        const value = parseInt(windowEl.dataset[key], 10);
+        return Number.isNaN(value) ? fallback : value;
     }
 
     /**
@@ -105,6 +176,22 @@ class WindowManager {
         windowEl.style.margin = '0';
     }
 
+    /**
+     * Gives a window the dialog role, labelled by its title, and lets it take focus
+     */
+    setupWindowAccessibility(windowEl) {
+        windowEl.setAttribute('role', 'dialog');
+        windowEl.tabIndex = -1;
+
+        const titleEl = windowEl.querySelector('.window-title');
+        if (titleEl) {
+            if (!titleEl.id) {
+                titleEl.id = `${windowEl.id}-title`;
+            }
+            windowEl.setAttribute('aria-labelledby', titleEl.id);
+        }
+    }
+
     /**
      * Makes a window element draggable using pointer events
      */
@@ -135,6 +222,12 @@ class WindowManager {
             this.startDrag(windowEl, e);
         });
 
+        // Double-click the title bar to maximize or restore
+        header.addEventListener('dblclick', (e) => {
+            if (e.target.closest('.control') || e.target.closest('button')) return;
+            this.toggleMaximize(windowEl.id);
+        });
+
         // Click anywhere on window to bring to front
         windowEl.addEventListener('pointerdown', (e) => {
             this.bringToFront(windowEl);
@@ -200,6 +293,12 @@ class WindowManager {
         const deltaX = e.clientX - this.dragStartX;
         const deltaY = e.clientY - this.dragStartY;
 
+        // Dragging a snapped window away restores its pre-snap size
+        const info = this.windows.get(windowEl.id);
+        if (info && info.snapZone && Math.hypot(deltaX, deltaY) > 4) {
+            this.unsnapWindow(windowEl);
+        }
+
         // Calculate new position (window start + delta)
         let newX = this.windowStartX + deltaX;
         let newY = this.windowStartY + deltaY;
@@ -222,6 +321,13 @@ class WindowManager {
         // Update position using left/top (NOT transform)
         windowEl.style.left = newX + 'px';
         windowEl.style.top = newY + 'px';
+
+        // Only managed windows snap (not the drawn computer illustration)
+        if (info) {
+            this.snapZone = this.getSnapZone(e.clientX, e.clientY);
+            this.updateSnapPreview(this.snapZone, windowEl);
+            this.emit('move', windowEl.id);
+        }
     }
 
     stopDrag = (e) => {
@@ -231,6 +337,13 @@ class WindowManager {
 
         this.isDragging = false;
 
+        // Drop into the snap zone under the pointer, if any
+        if (this.activeWindow && this.snapZone) {
+            this.snapWindow(this.activeWindow, this.snapZone);
+        }
+        this.snapZone = null;
+        this.updateSnapPreview(null);
+
         // Reset cursor
         if (this.activeWindow) {
             const header = this.activeWindow.querySelector('.window-header');
@@ -247,6 +360,7 @@ class WindowManager {
         }
 
         this.activeWindow = null;
+        this.scheduleSessionSave();
 
         // Remove global listeners
         document.removeEventListener('pointermove', this.handleDrag);
@@ -258,94 +372,1481 @@ class WindowManager {
         document.body.style.webkitUserSelect = '';
     }
 
+    // ========================================
+    // WINDOW CREATION
+    // ========================================
+
     /**
-     * Brings a window to the front by adjusting z-index
+     * Builds a window with the standard header and traffic-light controls.
+     * options: { id, title, icon, content, width, height, resizable,
+     *            minWidth, minHeight, maxWidth, maxHeight, className, contentClassName }
+     * content can be an HTML string or a DOM node.
+     * Returns a handle with open(), close(), setTitle(), destroy() and on().
      */
-    bringToFront(windowEl) {
+    createWindow(options = {}) {
+        const id = options.id || `window-${++this.createdWindowCount}`;
+
+        if (document.getElementById(id)) {
+            console.warn('Window already exists:', id);
+            return this.getWindowHandle(id);
+        }
+
+        const windowEl = document.createElement('div');
+        windowEl.className = 'app-window';
+        windowEl.id = id;
+        if (options.className) {
+            windowEl.classList.add(...options.className.split(' '));
+        }
+
+        // Built windows have no stylesheet size, so remember it for resetWindowPosition()
+        const toCss = (value) => typeof value === 'number' ? value + 'px' : value;
+        windowEl.dataset.defaultWidth = toCss(options.width || 480);
+        windowEl.dataset.defaultHeight = toCss(options.height || 360);
+        windowEl.style.width = windowEl.dataset.defaultWidth;
+        windowEl.style.height = windowEl.dataset.defaultHeight;
+
+        if (options.icon) {
+            windowEl.dataset.icon = options.icon;
+        }
+        if (options.resizable === false) {
+            windowEl.dataset.resizable = 'false';
+        }
+        ['minWidth', 'minHeight', 'maxWidth', 'maxHeight'].forEach(key => {
+            if (options[key]) {
+                windowEl.dataset[key] = options[key];
+            }
+        });
+
+        windowEl.appendChild(this.buildWindowHeader(options.title || ''));
+
+        const contentEl = document.createElement('div');
+        contentEl.className = 'app-content';
+        if (options.contentClassName) {
+            contentEl.classList.add(...options.contentClassName.split(' '));
+        }
+        if (typeof options.content === 'string') {
+            contentEl.innerHTML = options.content;
+        } else if (options.content) {
+            contentEl.appendChild(options.content);
+        }
+        windowEl.appendChild(contentEl);
+
+        const desktop = document.querySelector('.desktop-background') || document.body;
+        desktop.appendChild(windowEl);
+
+        this.setupWindow(windowEl);
+        this.makeWindowDraggable(windowEl);
+        this.makeWindowResizable(windowEl);
+
+        return this.getWindowHandle(id);
+    }
+
+    /**
+     * Creates the standard .window-header with close/minimize/maximize controls
+     */
+    buildWindowHeader(title) {
+        const header = document.createElement('div');
+        header.className = 'window-header';
+
+        const controls = document.createElement('div');
+        controls.className = 'window-controls';
+        const labels = { 'close-btn': 'Close', 'minimize-btn': 'Minimize', 'maximize-btn': 'Maximize' };
+        Object.keys(labels).forEach(name => {
+            const control = document.createElement('button');
+            control.type = 'button';
+            control.className = `control ${name}`;
+            control.setAttribute('aria-label', labels[name]);
+            controls.appendChild(control);
+        });
+
+        const titleEl = document.createElement('div');
+        titleEl.className = 'window-title';
+        titleEl.textContent = title;
+
+        header.appendChild(controls);
+        header.appendChild(titleEl);
+        return header;
+    }
+
+    /**
+     * Returns a small handle for driving one window from app code
+     */
+    getWindowHandle(windowId) {
+        return {
+            id: windowId,
+            element: document.getElementById(windowId),
+            open: () => this.showWindow(windowId),
+            close: () => this.hideWindow(windowId),
+            setTitle: (title) => this.setWindowTitle(windowId, title),
+            destroy: () => this.destroyWindow(windowId),
+            on: (event, handler) => this.on(event, windowId, handler)
+        };
+    }
+
+    /**
+     * Updates a window's header title (and its shelf label if minimized)
+     */
+    setWindowTitle(windowId, title) {
+        const windowEl = document.getElementById(windowId);
         if (!windowEl) return;
 
-        this.currentZIndex++;
-        windowEl.style.zIndex = this.currentZIndex;
+        const titleEl = windowEl.querySelector('.window-title');
+        if (titleEl) {
+            titleEl.textContent = title;
+        }
 
-        // Update stored z-index
-        if (this.windows.has(windowEl.id)) {
-            this.windows.get(windowEl.id).zIndex = this.currentZIndex;
+        const slot = this.shelf && this.shelf.querySelector(`.shelf-slot[data-window-id="${windowId}"]`);
+        if (slot) {
+            slot.title = `Restore ${title}`;
+            slot.querySelector('.shelf-label').textContent = title;
         }
+
+        this.emit('title', windowId, { title });
     }
 
     /**
-     * Shows a window and brings it to front
+     * Closes a window and removes it, its state and its handlers for good
      */
-    showWindow(windowId) {
+    destroyWindow(windowId) {
         const windowEl = document.getElementById(windowId);
-        if (!windowEl) {
-            console.warn('Window not found:', windowId);
+        if (!windowEl) return;
+
+        this.hideWindow(windowId);
+        windowEl.remove();
+        this.windows.delete(windowId);
+        this.stack = this.stack.filter(id => id !== windowId);
+        this.applyStackOrder();
+
+        this.listeners.forEach((handlers, key) => {
+            if (key.endsWith(`:${windowId}`)) {
+                this.listeners.delete(key);
+            }
+        });
+
+        this.scheduleSessionSave();
+    }
+
+    // ========================================
+    // DIALOGS
+    // ========================================
+
+    /**
+     * Asks a yes/no question in a small desktop window rather than the browser's
+     * confirm(). options: { title, message, icon, confirmLabel, cancelLabel,
+     * destructive }. Resolves true if confirmed, false if cancelled or closed.
+     */
+    confirm(options) {
+        return this.showDialog(options).then(result => result !== null);
+    }
+
+    /**
+     * Asks for a line of text in a small desktop window rather than the browser's
+     * prompt(). options: { title, message, icon, value, placeholder, confirmLabel,
+     * cancelLabel }. Resolves the text entered, or null if cancelled or closed.
+     */
+    prompt(options) {
+        return this.showDialog(Object.assign({}, options, { input: true }));
+    }
+
+    /**
+     * Opens a dialog window and removes it again once answered. With input, it
+     * has a text field and resolves its value; otherwise the confirm button
+     * resolves true. Cancelling or closing resolves null.
+     */
+    showDialog({ title = '', message = '', icon, input = false, value = '', placeholder = '',
+        confirmLabel = 'OK', cancelLabel = 'Cancel', destructive = false } = {}) {
+        return new Promise(resolve => {
+            const form = document.createElement('form');
+            form.className = 'dialog-form';
+            form.innerHTML = `
+                <p class="dialog-message"></p>
+                <div class="dialog-buttons">
+                    <button type="button" class="app-button" data-action="cancel"></button>
+                    <button type="submit" class="app-button app-button-primary" data-action="confirm"></button>
+                </div>
+            `;
+            form.querySelector('.dialog-message').textContent = message;
+
+            let field = null;
+            if (input) {
+                field = document.createElement('input');
+                field.type = 'text';
+                field.className = 'dialog-input';
+                field.value = value;
+                field.placeholder = placeholder;
+                field.setAttribute('aria-label', message || title);
+                form.insertBefore(field, form.querySelector('.dialog-buttons'));
+            }
+
+            const cancelButton = form.querySelector('[data-action="cancel"]');
+            const confirmButton = form.querySelector('[data-action="confirm"]');
+            cancelButton.textContent = cancelLabel;
+            confirmButton.textContent = confirmLabel;
+            confirmButton.classList.toggle('app-button-destructive', destructive);
+
+            const dialog = this.createWindow({
+                id: `dialog-${++this.createdWindowCount}`,
+                title,
+                icon,
+                content: form,
+                className: 'dialog-window',
+                contentClassName: 'dialog-content',
+                width: 380,
+                height: 'auto',
+                resizable: false
+            });
+
+            let result = null;
+            const answer = (value) => {
+                result = value;
+                this.hideWindow(dialog.id);
+            };
+
+            // However it closes (buttons, Escape or the close button), answer once and clean up
+            dialog.on('close', () => {
+                dialog.destroy();
+                resolve(result);
+            });
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                answer(field ? field.value : true);
+            });
+            cancelButton.addEventListener('click', () => answer(null));
+            form.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    answer(null);
+                }
+            });
+
+            dialog.open();
+
+            // Enter shouldn't erase things by accident
+            if (field) {
+                field.focus();
+                field.select();
+            } else {
+                (destructive ? cancelButton : confirmButton).focus();
+            }
+        });
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    /**
+     * Subscribes to a window lifecycle event for one window id, or for every
+     * window with '*' (or by leaving the id out). Events: 'open', 'close',
+     * 'focus', 'blur', 'move', 'resize', 'minimize', 'restore' and 'title'.
+     * Returns a function that removes the handler again.
+     */
+    on(event, windowId, handler) {
+        if (typeof windowId === 'function') {
+            handler = windowId;
+            windowId = '*';
+        }
+
+        const key = `${event}:${windowId}`;
+        if (!this.listeners.has(key)) {
+            this.listeners.set(key, new Set());
+        }
+        this.listeners.get(key).add(handler);
+
+        return () => this.off(event, windowId, handler);
+    }
+
+    /**
+     * Removes a handler added with on()
+     */
+    off(event, windowId, handler) {
+        if (typeof windowId === 'function') {
+            handler = windowId;
+            windowId = '*';
+        }
+
+        const handlers = this.listeners.get(`${event}:${windowId}`);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Calls every handler for an event, for this window and for '*'
+     */
+    emit(event, windowId, detail = {}) {
+        const payload = Object.assign({
+            type: event,
+            id: windowId,
+            element: document.getElementById(windowId)
+        }, detail);
+
+        [`${event}:${windowId}`, `${event}:*`].forEach(key => {
+            const handlers = this.listeners.get(key);
+            if (!handlers) return;
+
+            // One broken app shouldn't stop the others hearing about it
+            handlers.forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (error) {
+                    console.error(`Error in '${event}' handler for ${windowId}:`, error);
+                }
+            });
+        });
+    }
+
+    // ========================================
+    // SNAPPING & TILING
+    // ========================================
+
+    /**
+     * Returns the area windows can be snapped or tiled into (between the menu bar and dock)
+     */
+    getWorkArea() {
+        // offsetHeight ignores the transform that slides the menu bar away in full screen
+        const menuBar = document.querySelector('.menu-bar');
+        const top = menuBar ? menuBar.offsetTop + menuBar.offsetHeight : 0;
+
+        const dock = document.querySelector('.dock');
+        const dockRect = dock ? dock.getBoundingClientRect() : null;
+        const bottom = dockRect && dockRect.height ? dockRect.top : window.innerHeight;
+
+        return {
+            left: 0,
+            top,
+            width: window.innerWidth,
+            height: Math.max(0, bottom - top)
+        };
+    }
+
+    /**
+     * Works out which snap zone (if any) the pointer is over
+     */
+    getSnapZone(x, y) {
+        const threshold = this.snapThreshold;
+        const corner = this.snapCornerSize;
+        const area = this.getWorkArea();
+
+        const atLeft = x <= threshold;
+        const atRight = x >= window.innerWidth - threshold;
+        const atTop = y <= threshold;
+        const nearTop = y <= area.top + corner;
+        const nearBottom = y >= window.innerHeight - corner;
+
+        if (atLeft || atRight) {
+            const side = atLeft ? 'left' : 'right';
+            if (nearTop) return `top-${side}`;
+            if (nearBottom) return `bottom-${side}`;
+            return side;
+        }
+
+        if (atTop) {
+            if (x <= corner) return 'top-left';
+            if (x >= window.innerWidth - corner) return 'top-right';
+            return 'maximize';
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns the left/top/width/height a snap zone covers
+     */
+    getSnapBounds(zone) {
+        // Full screen covers the menu bar and dock too
+        if (zone === 'fullscreen') {
+            return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+        }
+
+        const area = this.getWorkArea();
+        const halfWidth = area.width / 2;
+        const halfHeight = area.height / 2;
+
+        const bounds = {
+            left: area.left,
+            top: area.top,
+            width: area.width,
+            height: area.height
+        };
+
+        if (zone.includes('left') || zone.includes('right')) {
+            bounds.width = halfWidth;
+            if (zone.includes('right')) bounds.left = area.left + halfWidth;
+        }
+
+        if (zone.startsWith('top-') || zone.startsWith('bottom-')) {
+            bounds.height = halfHeight;
+            if (zone.startsWith('bottom-')) bounds.top = area.top + halfHeight;
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Shows the translucent preview of where a dragged window will land
+     */
+    updateSnapPreview(zone, windowEl) {
+        if (!zone) {
+            if (this.snapPreview) {
+                this.snapPreview.classList.remove('active');
+            }
             return;
         }
 
-        // Make sure window is set up
-        if (!this.windows.has(windowId)) {
-            this.setupWindow(windowEl);
-            this.makeWindowDraggable(windowEl);
+        if (!this.snapPreview) {
+            this.snapPreview = document.createElement('div');
+            this.snapPreview.className = 'snap-preview';
+            document.body.appendChild(this.snapPreview);
         }
 
-        // Show the window
-        windowEl.classList.add('active');
+        const bounds = this.getSnapBounds(zone);
+        this.snapPreview.style.left = bounds.left + 'px';
+        this.snapPreview.style.top = bounds.top + 'px';
+        this.snapPreview.style.width = bounds.width + 'px';
+        this.snapPreview.style.height = bounds.height + 'px';
 
-        // CRITICAL: Center the window immediately after making it visible
-        // This ensures all windows open perfectly centered
-        this.centerWindowNow(windowEl);
+        // Sit just underneath the window being dragged
+        if (windowEl) {
+            this.snapPreview.style.zIndex = (parseInt(windowEl.style.zIndex, 10) || this.baseZIndex + this.stack.length) - 1;
+        }
 
-        // Bring to front
-        this.bringToFront(windowEl);
+        this.snapPreview.classList.add('active');
+    }
+
+    /**
+     * Snaps a window into a zone, remembering its size from before the snap
+     */
+    snapWindow(windowEl, zone) {
+        const info = this.windows.get(windowEl.id);
+        if (!info) return;
 
-        // Trigger any app-specific initialization
-        if (windowId === 'cameraWindow' && window.desktopApps) {
-            window.desktopApps.startWebcam();
-        } else if (windowId === 'notepadWindow' && window.desktopApps) {
-            window.desktopApps.setupDrawingCanvas();
+        // Keep the original bounds if the window is re-snapped to another zone
+        if (!info.snapZone) {
+            const rect = windowEl.getBoundingClientRect();
+            info.preSnapBounds = { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
         }
+
+        info.snapZone = zone;
+        this.setWindowBounds(windowEl, this.getSnapBounds(zone));
+        this.updateFullScreenState();
     }
 
     /**
-     * Hides a window
+     * Puts a snapped window back where it was before the snap
+     * (centered if it never had a position of its own)
      */
-    hideWindow(windowId) {
+    restorePreSnapBounds(windowId) {
         const windowEl = document.getElementById(windowId);
-        if (!windowEl) return;
+        const windowInfo = this.windows.get(windowId);
+        if (!windowEl || !windowInfo || !windowInfo.snapZone) return;
+
+        const previous = windowInfo.preSnapBounds;
+        windowInfo.snapZone = null;
+        windowInfo.preSnapBounds = null;
+        this.updateFullScreenState();
+        if (!previous) return;
+
+        const area = this.getWorkArea();
+        const hasPosition = isFinite(previous.left) && isFinite(previous.top);
+        this.setWindowBounds(windowEl, {
+            left: hasPosition ? previous.left : area.left + (area.width - previous.width) / 2,
+            top: hasPosition ? previous.top : area.top + (area.height - previous.height) / 2,
+            width: previous.width,
+            height: previous.height
+        });
+    }
 
-        windowEl.classList.remove('active');
+    /**
+     * Maximizes a window into the work area, or restores it if it already is.
+     * Full screen also covers the menu bar, like a macOS full-screen space.
+     */
+    toggleMaximize(windowId, { fullScreen = false } = {}) {
+        const windowEl = document.getElementById(windowId);
+        const windowInfo = this.windows.get(windowId);
+        if (!windowEl || !windowInfo) return;
 
-        // Stop camera stream if closing camera window
-        if (windowId === 'cameraWindow' && window.desktopApps) {
-            window.desktopApps.stopCamera();
+        const zone = fullScreen ? 'fullscreen' : 'maximize';
+        if (windowInfo.snapZone === zone) {
+            this.restorePreSnapBounds(windowId);
+        } else {
+            this.snapWindow(windowEl, zone);
         }
     }
 
     /**
-     * Centers a window in the viewport (public API method)
+     * Checks whether a window is maximized (full screen counts too)
      */
-    centerWindow(windowId) {
-        const windowEl = document.getElementById(windowId);
-        if (!windowEl) return;
+    isMaximized(windowId) {
+        const windowInfo = this.windows.get(windowId);
+        return !!windowInfo && (windowInfo.snapZone === 'maximize' || windowInfo.snapZone === 'fullscreen');
+    }
 
-        this.centerWindowNow(windowEl);
+    /**
+     * Slides the menu bar away while the focused window is full screen
+     */
+    updateFullScreenState() {
+        const windowInfo = this.windows.get(this.focusedWindowId);
+        const fullScreen = !!windowInfo && windowInfo.snapZone === 'fullscreen' &&
+            !windowInfo.minimized && this.isWindowOpen(windowInfo.element);
+
+        document.body.classList.toggle('window-fullscreen', fullScreen);
     }
 
     /**
-     * Resets a window to its default centered position
+     * Restores a snapped window's size while it's being dragged
      */
-    resetWindowPosition(windowId) {
-        const windowEl = document.getElementById(windowId);
-        if (!windowEl) return;
+    unsnapWindow(windowEl) {
+        const info = this.windows.get(windowEl.id);
+        if (!info || !info.snapZone) return;
 
-        // Remove inline styles
-        windowEl.style.left = '';
-        windowEl.style.top = '';
-        windowEl.style.transform = '';
+        const previous = info.preSnapBounds;
+        info.snapZone = null;
+        info.preSnapBounds = null;
+        this.updateFullScreenState();
+        if (!previous) return;
 
-        // Re-setup the window
-        this.setupWindow(windowEl);
+        // Keep the pointer at the same relative spot on the header
+        const rect = windowEl.getBoundingClientRect();
+        const ratio = rect.width ? (this.dragStartX - this.windowStartX) / rect.width : 0.5;
+        this.windowStartX = this.dragStartX - previous.width * ratio;
+
+        windowEl.style.width = previous.width + 'px';
+        windowEl.style.height = previous.height + 'px';
+        this.emit('resize', windowEl.id);
+    }
+
+    /**
+     * Moves and resizes a window in one go, respecting its size limits
+     */
+    setWindowBounds(windowEl, bounds) {
+        const limits = this.getSizeLimits(windowEl);
+        const width = Math.max(limits.minWidth, Math.min(bounds.width, limits.maxWidth));
+        const height = Math.max(limits.minHeight, Math.min(bounds.height, limits.maxHeight));
+
+        windowEl.style.left = bounds.left + 'px';
+        windowEl.style.top = bounds.top + 'px';
+        windowEl.style.width = width + 'px';
+        windowEl.style.height = height + 'px';
+        windowEl.style.maxWidth = 'none';
+        windowEl.style.maxHeight = 'none';
+        windowEl.style.transform = 'none';
+        windowEl.style.margin = '0';
+
+        this.emit('move', windowEl.id);
+        this.emit('resize', windowEl.id);
+        this.scheduleSessionSave();
+    }
+
+    /**
+     * Checks whether a window is currently shown on the desktop
+     */
+    isWindowOpen(windowEl) {
+        if (!windowEl) return false;
+        if (windowEl.classList.contains('active')) return true;
+
+        // The browser window is shown by default rather than via .active
+        return windowEl.classList.contains('browser-window') &&
+            window.getComputedStyle(windowEl).display !== 'none';
+    }
+
+    /**
+     * Arranges every open window in a grid below the menu bar
+     */
+    tileWindows() {
+        const openWindows = Array.from(this.windows.values())
+            .filter(info => this.isWindowOpen(info.element) && !info.minimized)
+            .sort((a, b) => a.zIndex - b.zIndex);
+
+        if (openWindows.length === 0) return;
+
+        const area = this.getWorkArea();
+        const gap = 10;
+        const columns = Math.ceil(Math.sqrt(openWindows.length));
+        const rows = Math.ceil(openWindows.length / columns);
+        const cellWidth = (area.width - gap * (columns + 1)) / columns;
+        const cellHeight = (area.height - gap * (rows + 1)) / rows;
+
+        openWindows.forEach((info, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            const windowEl = info.element;
+
+            // Tiled windows behave like snapped ones when dragged away
+            if (!info.snapZone) {
+                const rect = windowEl.getBoundingClientRect();
+                info.preSnapBounds = { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+            }
+            info.snapZone = 'tile';
+
+            this.setWindowBounds(windowEl, {
+                left: area.left + gap + column * (cellWidth + gap),
+                top: area.top + gap + row * (cellHeight + gap),
+                width: cellWidth,
+                height: cellHeight
+            });
+        });
+
+        console.log(`✓ Tiled ${openWindows.length} windows`);
+    }
+
+    /**
+     * Returns a window's min/max size, with the max capped to the viewport
+     */
+    getSizeLimits(windowEl) {
+        const info = this.windows.get(windowEl.id) || {};
+        const maxWidth = Math.min(info.maxWidth || Infinity, window.innerWidth);
+        const maxHeight = Math.min(info.maxHeight || Infinity, window.innerHeight);
+
+        return {
+            minWidth: Math.min(info.minWidth || this.defaultMinWidth, maxWidth),
+            minHeight: Math.min(info.minHeight || this.defaultMinHeight, maxHeight),
+            maxWidth,
+            maxHeight
+        };
+    }
+
+    /**
+     * Overrides the min/max size of a window (public API method)
+     */
+    setSizeLimits(windowId, limits) {
+        const info = this.windows.get(windowId);
+        if (!info) return;
+
+        Object.assign(info, limits);
+    }
+
+    /**
+     * Adds resize handles on all four edges and corners of a window
+     */
+    makeWindowResizable(windowEl) {
+        if (!windowEl || windowEl.dataset.resizable === 'false') return;
+
+        // Only add handles once
+        if (windowEl.querySelector(':scope > .resize-handle')) return;
+
+        this.resizeEdges.forEach(edge => {
+            const handle = document.createElement('div');
+            handle.className = `resize-handle resize-${edge}`;
+            handle.dataset.edge = edge;
+
+            handle.addEventListener('pointerdown', (e) => {
+                this.startResize(windowEl, edge, e);
+            });
+
+            windowEl.appendChild(handle);
+        });
+    }
+
+    startResize(windowEl, edge, e) {
+        // Only resize with the primary button / touch / pen contact
+        if (e.button !== 0) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.isResizing = true;
+        this.activeWindow = windowEl;
+        this.resizeEdge = edge;
+
+        // A manually resized window is no longer snapped
+        const info = this.windows.get(windowEl.id);
+        if (info) {
+            info.snapZone = null;
+            info.preSnapBounds = null;
+            this.updateFullScreenState();
+        }
+
+        const rect = windowEl.getBoundingClientRect();
+        this.resizeStart = {
+            x: e.clientX,
+            y: e.clientY,
+            left: rect.left,
+            top: rect.top,
+            width: rect.width,
+            height: rect.height
+        };
+
+        // Pin the current geometry so the window doesn't jump
+        windowEl.style.left = rect.left + 'px';
+        windowEl.style.top = rect.top + 'px';
+        windowEl.style.width = rect.width + 'px';
+        windowEl.style.height = rect.height + 'px';
+        windowEl.style.transform = 'none';
+        windowEl.style.margin = '0';
+
+        // Responsive CSS max-width/max-height would fight the inline size
+        windowEl.style.maxWidth = 'none';
+        windowEl.style.maxHeight = 'none';
+
+        windowEl.style.transition = 'none';
+
+        this.bringToFront(windowEl);
+
+        document.addEventListener('pointermove', this.handleResizeDrag);
+        document.addEventListener('pointerup', this.stopResize);
+        document.addEventListener('pointercancel', this.stopResize);
+
+        // Keep the edge cursor while the pointer is outside the handle
+        document.body.style.cursor = window.getComputedStyle(e.currentTarget).cursor;
+        document.body.style.userSelect = 'none';
+        document.body.style.webkitUserSelect = 'none';
+    }
+
+    handleResizeDrag = (e) => {
+        if (!this.isResizing || !this.activeWindow) return;
+
+        e.preventDefault();
+
+        const windowEl = this.activeWindow;
+        const edge = this.resizeEdge;
+        const start = this.resizeStart;
+        const limits = this.getSizeLimits(windowEl);
+        const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+        const deltaX = e.clientX - start.x;
+        const deltaY = e.clientY - start.y;
+
+        let newLeft = start.left;
+        let newTop = start.top;
+        let newWidth = start.width;
+        let newHeight = start.height;
+
+        if (edge.includes('e')) {
+            newWidth = clamp(start.width + deltaX, limits.minWidth, limits.maxWidth);
+        }
+        if (edge.includes('w')) {
+            newWidth = clamp(start.width - deltaX, limits.minWidth, limits.maxWidth);
+            newLeft = start.left + start.width - newWidth;
+        }
+        if (edge.includes('s')) {
+            newHeight = clamp(start.height + deltaY, limits.minHeight, limits.maxHeight);
+        }
+        if (edge.includes('n')) {
+            // Don't let the header grow past the top of the viewport
+            const maxHeight = Math.min(limits.maxHeight, start.top + start.height);
+            newHeight = clamp(start.height - deltaY, limits.minHeight, maxHeight);
+            newTop = start.top + start.height - newHeight;
+        }
+
+        windowEl.style.left = newLeft + 'px';
+        windowEl.style.top = newTop + 'px';
+        windowEl.style.width = newWidth + 'px';
+        windowEl.style.height = newHeight + 'px';
+
+        if (edge.includes('n') || edge.includes('w')) {
+            this.emit('move', windowEl.id);
+        }
+        this.emit('resize', windowEl.id);
+    }
+
+    stopResize = (e) => {
+        if (!this.isResizing) return;
+
+        e.preventDefault();
+
+        this.isResizing = false;
+
+        const windowEl = this.activeWindow;
+        if (windowEl) {
+            windowEl.style.transition = '';
+            this.emit('resize', windowEl.id);
+        }
+
+        this.activeWindow = null;
+        this.resizeEdge = null;
+        this.resizeStart = null;
+        this.scheduleSessionSave();
+
+        document.removeEventListener('pointermove', this.handleResizeDrag);
+        document.removeEventListener('pointerup', this.stopResize);
+        document.removeEventListener('pointercancel', this.stopResize);
+
+        document.body.style.cursor = '';
+        document.body.style.userSelect = '';
+        document.body.style.webkitUserSelect = '';
+    }
+
+    /**
+     * Brings a window to the top of the stack and focuses it
+     */
+    bringToFront(windowEl) {
+        if (!windowEl) return;
+
+        // Elements outside the stack (the drawn computer) just go above every window
+        if (!this.windows.has(windowEl.id)) {
+            windowEl.style.zIndex = this.baseZIndex + this.stack.length;
+            return;
+        }
+
+        this.moveInStack(windowEl.id, this.stack.length);
+        this.setFocusedWindow(windowEl.id);
+        this.scheduleSessionSave();
+    }
+
+    /**
+     * Moves a window to a position in the stack (0 = back-most)
+     */
+    moveInStack(windowId, position) {
+        const index = this.stack.indexOf(windowId);
+        if (index !== -1) {
+            this.stack.splice(index, 1);
+        }
+
+        this.stack.splice(Math.max(0, Math.min(position, this.stack.length)), 0, windowId);
+        this.applyStackOrder();
+    }
+
+    /**
+     * Renumbers z-indexes compactly (base, base + 1, ...) from the stack
+     */
+    applyStackOrder() {
+        this.stack.forEach((windowId, index) => {
+            const windowInfo = this.windows.get(windowId);
+            if (!windowInfo) return;
+
+            windowInfo.zIndex = this.baseZIndex + index;
+
+            // Minimized windows stay above the shelf until they're restored
+            if (!windowInfo.minimized) {
+                windowInfo.element.style.zIndex = windowInfo.zIndex;
+            }
+        });
+    }
+
+    /**
+     * Returns the ids of open windows, front-most first (minimized ones included)
+     */
+    getStack() {
+        return this.stack
+            .filter(windowId => this.isWindowOpen(this.windows.get(windowId).element))
+            .reverse();
+    }
+
+    /**
+     * Marks the focused window with .focused and every other one with .inactive
+     */
+    updateFocusClasses() {
+        this.windows.forEach((windowInfo, windowId) => {
+            const isFocused = windowId === this.focusedWindowId;
+            windowInfo.element.classList.toggle('focused', isFocused);
+            windowInfo.element.classList.toggle('inactive', !isFocused);
+        });
+    }
+
+    /**
+     * Moves focus to a window, announcing blur/focus when it changes
+     */
+    setFocusedWindow(windowId) {
+        if (this.focusedWindowId === windowId) return;
+
+        const previousId = this.focusedWindowId;
+        this.focusedWindowId = windowId;
+        this.updateFocusClasses();
+        this.updateFullScreenState();
+
+        if (previousId) {
+            this.emit('blur', previousId);
+        }
+        if (windowId) {
+            this.emit('focus', windowId);
+        }
+    }
+
+    // ========================================
+    // FOCUS
+    // ========================================
+
+    /**
+     * Returns the id of the focused window, or null if none is focused
+     */
+    getFocusedWindowId() {
+        return this.focusedWindowId;
+    }
+
+    /**
+     * Returns the ids of open windows, front-most first
+     */
+    getOpenWindowIds({ includeMinimized = false } = {}) {
+        return this.getStack()
+            .filter(windowId => includeMinimized || !this.windows.get(windowId).minimized);
+    }
+
+    /**
+     * Focuses a window, opening or un-minimizing it if needed
+     */
+    focus(windowId) {
+        const windowEl = document.getElementById(windowId);
+        const windowInfo = this.windows.get(windowId);
+        if (!windowEl || !windowInfo) return;
+
+        if (!this.isWindowOpen(windowEl) || windowInfo.minimized) {
+            this.showWindow(windowId);
+        } else {
+            this.bringToFront(windowEl);
+            this.moveFocusInto(windowEl);
+        }
+    }
+
+    /**
+     * Moves keyboard focus into a window unless it already has it
+     */
+    moveFocusInto(windowEl) {
+        if (!windowEl.contains(document.activeElement)) {
+            windowEl.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Hands keyboard focus back to whatever opened a window (e.g. its desktop icon),
+     * or to the new front window if that's gone
+     */
+    returnFocus(windowInfo) {
+        const target = windowInfo.returnFocusTo;
+        windowInfo.returnFocusTo = null;
+
+        const targetWindow = target && target.closest && target.closest('.app-window, .browser-window');
+        const targetVisible = target && target.isConnected &&
+            (!targetWindow || (this.isWindowOpen(targetWindow) && !targetWindow.inert));
+
+        if (targetVisible) {
+            target.focus({ preventScroll: true });
+        } else if (this.focusedWindowId) {
+            this.moveFocusInto(document.getElementById(this.focusedWindowId));
+        }
+    }
+
+    /**
+     * Hands focus to the front-most remaining window (or to nothing)
+     */
+    focusTopWindow() {
+        const [topWindowId] = this.getOpenWindowIds();
+        this.setFocusedWindow(topWindowId || null);
+    }
+
+    /**
+     * Focuses the next (1) or previous (-1) open window in stacking order
+     */
+    cycleFocus(direction = 1) {
+        const windowIds = this.getOpenWindowIds();
+        if (windowIds.length < 2) return;
+
+        // Going forwards sends the front window to the back of the cycle
+        if (direction > 0) {
+            this.sendToBack(windowIds[0]);
+            this.focus(windowIds[1]);
+        } else {
+            this.focus(windowIds[windowIds.length - 1]);
+        }
+    }
+
+    /**
+     * Puts a window underneath every other window
+     */
+    sendToBack(windowId) {
+        if (!this.windows.has(windowId)) return;
+
+        this.moveInStack(windowId, 0);
+        this.scheduleSessionSave();
+    }
+
+    // ========================================
+    // KEYBOARD MOVES
+    // ========================================
+
+    /**
+     * Moves a window by a few pixels (arrow-key nudging)
+     */
+    nudgeWindow(windowId, deltaX, deltaY) {
+        const windowEl = document.getElementById(windowId);
+        if (!windowEl || !this.windows.has(windowId)) return;
+
+        const rect = windowEl.getBoundingClientRect();
+        const area = this.getWorkArea();
+
+        windowEl.style.left = Math.max(-rect.width + 100, Math.min(rect.left + deltaX, window.innerWidth - 100)) + 'px';
+        windowEl.style.top = Math.max(area.top, Math.min(rect.top + deltaY, window.innerHeight - 50)) + 'px';
+        windowEl.style.transform = 'none';
+        windowEl.style.margin = '0';
+
+        this.emit('move', windowId);
+        this.scheduleSessionSave();
+    }
+
+    /**
+     * Snaps a window from the keyboard: left/right halves, up to maximize,
+     * down to go back to where it was before the snap
+     */
+    snapWindowToSide(windowId, direction) {
+        const windowEl = document.getElementById(windowId);
+        if (!windowEl || !this.windows.has(windowId)) return;
+
+        if (direction === 'down') {
+            this.restorePreSnapBounds(windowId);
+            return;
+        }
+
+        const zones = { left: 'left', right: 'right', up: 'maximize' };
+        if (zones[direction]) {
+            this.snapWindow(windowEl, zones[direction]);
+        }
+    }
+
+    /**
+     * Returns the icon shown for a window in the switcher (data-icon)
+     */
+    getWindowIcon(windowId) {
+        const windowEl = document.getElementById(windowId);
+        return (windowEl && windowEl.dataset.icon) || '🗔';
+    }
+
+    /**
+     * Returns a window's title text
+     */
+    getWindowTitle(windowId) {
+        const windowEl = document.getElementById(windowId);
+        const titleEl = windowEl && windowEl.querySelector('.window-title');
+        return titleEl ? titleEl.textContent.trim() : windowId;
+    }
+
+    /**
+     * Shows a window and brings it to front
+     */
+    showWindow(windowId) {
+        const windowEl = document.getElementById(windowId);
+        if (!windowEl) {
+            console.warn('Window not found:', windowId);
+            return;
+        }
+
+        // Make sure window is set up
+        if (!this.windows.has(windowId)) {
+            this.setupWindow(windowEl);
+            this.makeWindowDraggable(windowEl);
+            this.makeWindowResizable(windowEl);
+        }
+
+        // A minimized window comes back exactly as it was
+        if (this.windows.get(windowId).minimized) {
+            this.restoreWindow(windowId);
+            return;
+        }
+
+        // An open window just comes to the front - re-centering it or telling
+        // the app it opened again would wipe a drawing or restart the camera
+        if (this.isWindowOpen(windowEl)) {
+            this.bringToFront(windowEl);
+            this.moveFocusInto(windowEl);
+            return;
+        }
+
+        // Remember what opened the window so closing it can hand focus back
+        const opener = document.activeElement;
+        if (opener && opener !== document.body && !windowEl.contains(opener)) {
+            this.windows.get(windowId).returnFocusTo = opener;
+        }
+
+        // Show the window (and clear any display:none left by closing it)
+        windowEl.style.display = '';
+        windowEl.classList.add('active');
+
+        // CRITICAL: Center the window immediately after making it visible
+        // This ensures all windows open perfectly centered - unless the
+        // window still has a restored session position it hasn't used yet
+        const windowInfo = this.windows.get(windowId);
+        if (windowInfo.pendingRestore) {
+            windowInfo.pendingRestore = false;
+        } else {
+            this.centerWindowNow(windowEl);
+        }
+
+        // Bring to front
+        this.bringToFront(windowEl);
+        this.moveFocusInto(windowEl);
+
+        // Let apps run their own initialization (e.g. start the camera)
+        this.emit('open', windowId);
+    }
+
+    /**
+     * Hides a window
+     */
+    hideWindow(windowId) {
+        const windowEl = document.getElementById(windowId);
+        if (!windowEl) return;
+
+        // Close handlers can run more than once - only announce the first
+        const wasOpen = this.isWindowOpen(windowEl);
+        const hadFocus = windowEl.contains(document.activeElement);
+
+        // Closing a minimized window also clears its shelf slot
+        const windowInfo = this.windows.get(windowId);
+        if (windowInfo && windowInfo.minimized) {
+            windowInfo.minimized = false;
+            windowEl.inert = false;
+            windowEl.classList.remove('minimized');
+            windowEl.style.transform = 'none';
+            windowEl.style.zIndex = windowInfo.zIndex;
+            this.removeShelfSlot(windowId);
+        }
+
+        windowEl.classList.remove('active');
+
+        // The browser window is shown by default, so it needs hiding explicitly
+        if (windowEl.classList.contains('browser-window')) {
+            windowEl.style.display = 'none';
+        }
+
+        this.scheduleSessionSave();
+
+        if (wasOpen) {
+            if (this.focusedWindowId === windowId) {
+                this.focusTopWindow();
+            }
+            if (hadFocus && windowInfo) {
+                this.returnFocus(windowInfo);
+            }
+            this.emit('close', windowId);
+        }
+    }
+
+    /**
+     * Closes a window the same way its close button does (fade, then hide)
+     */
+    closeWindow(windowId) {
+        const windowEl = document.getElementById(windowId);
+        if (!windowEl || !this.isWindowOpen(windowEl)) return;
+
+        // Minimized windows have nothing on screen to fade out
+        const windowInfo = this.windows.get(windowId);
+        if (windowInfo && windowInfo.minimized) {
+            this.hideWindow(windowId);
+            return;
+        }
+
+        windowEl.style.opacity = '0';
+        windowEl.style.transform += ' scale(0.9)';
+
+        setTimeout(() => {
+            windowEl.style.opacity = '1';
+            windowEl.style.transform = 'none';
+
+            // Hides it and tells the app it closed
+            this.hideWindow(windowId);
+        }, 300);
+    }
+
+    // ========================================
+    // MINIMIZE & SHELF
+    // ========================================
+
+    /**
+     * Parks a window in the minimized-windows shelf as a live thumbnail
+     */
+    minimizeWindow(windowId) {
+        const windowEl = document.getElementById(windowId);
+        const windowInfo = this.windows.get(windowId);
+        if (!windowEl || !windowInfo || windowInfo.minimized || !this.isWindowOpen(windowEl)) return;
+
+        windowInfo.minimized = true;
+
+        // The window keeps rendering, but clicks fall through to its shelf slot
+        windowEl.inert = true;
+        windowEl.classList.add('minimized');
+        windowEl.style.zIndex = this.minimizedZIndex;
+
+        this.addShelfSlot(windowEl);
+        this.layoutShelf();
+
+        if (this.focusedWindowId === windowId) {
+            this.focusTopWindow();
+        }
+        this.emit('minimize', windowId);
+
+        this.scheduleSessionSave();
+    }
+
+    /**
+     * Brings a minimized window back to its exact previous position and size
+     */
+    restoreWindow(windowId) {
+        const windowEl = document.getElementById(windowId);
+        const windowInfo = this.windows.get(windowId);
+        if (!windowEl || !windowInfo || !windowInfo.minimized) return;
+
+        windowInfo.minimized = false;
+        windowEl.inert = false;
+
+        // Keep the transform transition while growing back out of the slot
+        windowEl.classList.remove('minimized');
+        windowEl.classList.add('restoring');
+        windowEl.style.transform = 'none';
+        setTimeout(() => windowEl.classList.remove('restoring'), 350);
+
+        this.removeShelfSlot(windowId);
+        this.layoutShelf();
+        this.bringToFront(windowEl);
+
+        this.emit('restore', windowId);
+
+        this.scheduleSessionSave();
+    }
+
+    getShelf() {
+        if (!this.shelf) {
+            this.shelf = document.getElementById('minimizedShelf');
+
+            // Fall back to a shelf of our own if the page doesn't provide one
+            if (!this.shelf) {
+                this.shelf = document.createElement('div');
+                this.shelf.className = 'minimized-shelf';
+                this.shelf.id = 'minimizedShelf';
+                document.body.appendChild(this.shelf);
+            }
+        }
+
+        return this.shelf;
+    }
+
+    addShelfSlot(windowEl) {
+        const title = this.getWindowTitle(windowEl.id);
+
+        const slot = document.createElement('div');
+        slot.className = 'shelf-slot';
+        slot.dataset.windowId = windowEl.id;
+        slot.title = `Restore ${title}`;
+
+        const thumb = document.createElement('div');
+        thumb.className = 'shelf-thumb';
+
+        const label = document.createElement('div');
+        label.className = 'shelf-label';
+        label.textContent = title;
+
+        slot.appendChild(thumb);
+        slot.appendChild(label);
+        slot.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.restoreWindow(windowEl.id);
+        });
+
+        this.getShelf().appendChild(slot);
+    }
+
+    removeShelfSlot(windowId) {
+        const slot = this.getShelf().querySelector(`.shelf-slot[data-window-id="${windowId}"]`);
+        if (slot) {
+            slot.remove();
+        }
+    }
+
+    /**
+     * Scales each minimized window down onto its slot's thumbnail area
+     */
+    layoutShelf() {
+        if (!this.shelf) return;
+
+        this.shelf.querySelectorAll('.shelf-slot').forEach(slot => {
+            const windowEl = document.getElementById(slot.dataset.windowId);
+            const thumb = slot.querySelector('.shelf-thumb');
+            if (!windowEl || !thumb) return;
+
+            // offset* ignore transforms, so this is the window's real geometry
+            const width = windowEl.offsetWidth;
+            const height = windowEl.offsetHeight;
+            const thumbRect = thumb.getBoundingClientRect();
+            if (!width || !height) return;
+
+            const scale = Math.min(thumbRect.width / width, thumbRect.height / height);
+            const x = thumbRect.left + (thumbRect.width - width * scale) / 2 - windowEl.offsetLeft;
+            const y = thumbRect.top + (thumbRect.height - height * scale) / 2 - windowEl.offsetTop;
+
+            windowEl.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+        });
+    }
+
+    /**
+     * Centers a window in the viewport (public API method)
+     */
+    centerWindow(windowId) {
+        const windowEl = document.getElementById(windowId);
+        if (!windowEl) return;
+
+        this.centerWindowNow(windowEl);
+    }
+
+    /**
+     * Resets a window to its default centered position
+     */
+    resetWindowPosition(windowId) {
+        const windowEl = document.getElementById(windowId);
+        if (!windowEl) return;
+
+        // Remove inline styles (windows from createWindow() go back to their built size)
+        windowEl.style.left = '';
+        windowEl.style.top = '';
+        windowEl.style.width = windowEl.dataset.defaultWidth || '';
+        windowEl.style.height = windowEl.dataset.defaultHeight || '';
+        windowEl.style.maxWidth = '';
+        windowEl.style.maxHeight = '';
+        windowEl.style.transform = '';
+
+        // Forget any snap so dragging doesn't restore an old size
+        const windowInfo = this.windows.get(windowId);
+        if (windowInfo) {
+            windowInfo.snapZone = null;
+            windowInfo.preSnapBounds = null;
+        }
+
+        // Re-setup the window
+        this.setupWindow(windowEl);
+    }
+
+    /**
+     * Resets every window to its default size and centered position
+     */
+    resetLayout() {
+        this.windows.forEach((windowInfo, windowId) => {
+            this.resetWindowPosition(windowId);
+        });
+
+        // Minimized windows need re-fitting onto their slots
+        this.layoutShelf();
+        this.saveSession();
+        console.log('✓ Window layout reset');
+    }
+
+    // ========================================
+    // SESSION PERSISTENCE
+    // ========================================
+
+    /**
+     * Captures the geometry, open state and stacking of one window
+     */
+    captureWindowState(windowEl, windowInfo) {
+        const snapZone = windowInfo.snapZone || null;
+
+        // Snapped windows save the bounds they go back to when unsnapped
+        const previous = snapZone && windowInfo.preSnapBounds;
+        const bounds = {
+            left: parseFloat(windowEl.style.left),
+            top: parseFloat(windowEl.style.top),
+            width: parseFloat(windowEl.style.width),
+            height: parseFloat(windowEl.style.height)
+        };
+        const geometry = previous ? Object.assign({}, bounds, previous) : bounds;
+
+        return {
+            left: geometry.left,
+            top: geometry.top,
+            width: geometry.width,
+            height: geometry.height,
+            snapZone,
+            minimized: !!windowInfo.minimized,
+            open: this.isWindowOpen(windowEl),
+            zIndex: windowInfo.zIndex
+        };
+    }
+
+    /**
+     * Writes the layout of every window to the session store
+     */
+    saveSession() {
+        if (!this.sessionRestored || !window.sessionStore) return;
+
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = null;
+
+        const windows = {};
+        this.windows.forEach((windowInfo, windowId) => {
+            windows[windowId] = this.captureWindowState(windowInfo.element, windowInfo);
+        });
+
+        window.sessionStore.set('windows', windows);
+    }
+
+    /**
+     * Batches rapid layout changes (drags, clicks) into one save
+     */
+    scheduleSessionSave() {
+        if (!this.sessionRestored) return;
+
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveSession(), 250);
+    }
+
+    /**
+     * Restores the saved layout once the desktop is visible (after the intro)
+     */
+    restoreSession() {
+        const saved = window.sessionStore ? window.sessionStore.get('windows') : null;
+
+        if (!saved) {
+            // First visit - just center the browser window
+            const browserWindow = document.getElementById('browserWindow');
+            if (browserWindow) {
+                this.centerWindowNow(browserWindow);
+            }
+        } else {
+            Object.keys(saved).forEach(windowId => this.restoreWindowState(windowId, saved[windowId]));
+
+            // Opening windows reshuffled the stack - put back the saved order
+            const savedZIndex = (windowId) => {
+                const state = saved[windowId];
+                return state && isFinite(state.zIndex) ? state.zIndex : -Infinity;
+            };
+            this.stack.sort((a, b) => savedZIndex(a) - savedZIndex(b));
+            this.applyStackOrder();
+        }
+
+        this.sessionRestored = true;
+
+        // Pull back anything saved on a larger screen
+        this.handleResize();
+        this.focusTopWindow();
+        this.saveSession();
+
+        console.log('✓ Desktop session restored');
+    }
+
+    restoreWindowState(windowId, state) {
+        const windowEl = document.getElementById(windowId);
+        const windowInfo = this.windows.get(windowId);
+        if (!windowEl || !windowInfo || !state) return;
+
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        if (isNumber(state.left) && isNumber(state.top)) {
+            windowEl.style.left = state.left + 'px';
+            windowEl.style.top = state.top + 'px';
+            windowEl.style.transform = 'none';
+            windowEl.style.margin = '0';
+            windowInfo.pendingRestore = true;
+        }
+
+        if (isNumber(state.width) && isNumber(state.height)) {
+            windowEl.style.width = state.width + 'px';
+            windowEl.style.height = state.height + 'px';
+            windowEl.style.maxWidth = 'none';
+            windowEl.style.maxHeight = 'none';
+        }
+
+        if (windowEl.classList.contains('browser-window')) {
+            // The browser is open by default; hide it if it was closed
+            windowEl.style.display = state.open ? '' : 'none';
+        } else if (state.open) {
+            this.showWindow(windowId);
+        }
+
+        if (this.snapZones.includes(state.snapZone)) {
+            this.snapWindow(windowEl, state.snapZone);
+            windowInfo.preSnapBounds = { left: state.left, top: state.top, width: state.width, height: state.height };
+        }
+
+        if (state.open && state.minimized) {
+            this.minimizeWindow(windowId);
+        }
     }
 
     /**
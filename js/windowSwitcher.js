@@ -0,0 +1,149 @@
+// ========================================
+// WINDOW SWITCHER
+// Alt/Cmd+Tab overlay listing open windows
+// Dependencies: windowManager.js
+// ========================================
+
+class WindowSwitcher {
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.overlay = null;
+        this.windowIds = [];
+        this.selectedIndex = 0;
+        this.isOpen = false;
+
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        // Losing the page means the modifier key-up never arrives
+        window.addEventListener('blur', () => this.hide());
+    }
+
+    // ========================================
+    // KEYBOARD
+    // ========================================
+
+    handleKeyDown(e) {
+        if (e.key === 'Tab' && (e.altKey || e.metaKey)) {
+            e.preventDefault();
+
+            if (!this.isOpen) {
+                this.show();
+            }
+
+            this.moveSelection(e.shiftKey ? -1 : 1);
+            return;
+        }
+
+        if (!this.isOpen) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hide();
+        } else if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.moveSelection(e.key === 'ArrowRight' ? 1 : -1);
+        }
+    }
+
+    handleKeyUp(e) {
+        // Releasing the held modifier picks the selected window
+        if (this.isOpen && (e.key === 'Alt' || e.key === 'Meta')) {
+            this.commit();
+        }
+    }
+
+    // ========================================
+    // OVERLAY
+    // ========================================
+
+    show() {
+        // Minimized windows are listed too - picking one restores it
+        this.windowIds = this.windowManager.getOpenWindowIds({ includeMinimized: true });
+        if (this.windowIds.length === 0) return;
+
+        // Start on the front window so the first Tab lands on the next one
+        this.selectedIndex = 0;
+        this.isOpen = true;
+        this.render();
+        this.overlay.classList.add('active');
+    }
+
+    hide() {
+        this.isOpen = false;
+        if (this.overlay) {
+            this.overlay.classList.remove('active');
+        }
+    }
+
+    commit() {
+        const windowId = this.windowIds[this.selectedIndex];
+        this.hide();
+
+        if (windowId) {
+            this.windowManager.focus(windowId);
+        }
+    }
+
+    moveSelection(step) {
+        if (!this.isOpen || this.windowIds.length === 0) return;
+
+        const count = this.windowIds.length;
+        this.selectedIndex = (this.selectedIndex + step + count) % count;
+        this.updateSelection();
+    }
+
+    render() {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'window-switcher';
+            document.body.appendChild(this.overlay);
+        }
+
+        this.overlay.innerHTML = '';
+
+        this.windowIds.forEach((windowId, index) => {
+            const item = document.createElement('div');
+            item.className = 'switcher-item';
+
+            const icon = document.createElement('div');
+            icon.className = 'switcher-icon';
+            icon.textContent = this.windowManager.getWindowIcon(windowId);
+
+            const label = document.createElement('div');
+            label.className = 'switcher-label';
+            label.textContent = this.windowManager.getWindowTitle(windowId);
+
+            item.appendChild(icon);
+            item.appendChild(label);
+
+            item.addEventListener('mouseenter', () => {
+                this.selectedIndex = index;
+                this.updateSelection();
+            });
+            item.addEventListener('click', () => {
+                this.selectedIndex = index;
+                this.commit();
+            });
+
+            this.overlay.appendChild(item);
+        });
+
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        if (!this.overlay) return;
+
+        this.overlay.querySelectorAll('.switcher-item').forEach((item, index) => {
+            item.classList.toggle('selected', index === this.selectedIndex);
+        });
+    }
+}
+
+// Create global instance
+window.windowSwitcher = new WindowSwitcher(window.windowManager);